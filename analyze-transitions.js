@@ -0,0 +1,76 @@
+const { regionsConfig } = require("./src/config/config");
+const { weatherRules } = require("./src/config/weatherRules");
+const { MIN_EPOCH_LENGTH } = require("./src/services/weatherService");
+const { analyzeTransitionGraph } = require("./src/services/transitionAnalyzer");
+const { logger } = require("./src/utils/logger");
+
+/**
+ * Analyze the active weather rules' transition graph against regions.json
+ * Exits non-zero if any path has an illegal hop or any region condition
+ * can never be reached, so it can gate config changes.
+ *
+ * Usage: node analyze-transitions.js [--quiet]
+ *   --quiet  Only print errors and warnings, not the direct jump pairs
+ */
+function runAnalysis(argv = process.argv.slice(2)) {
+  const quiet = argv.includes("--quiet");
+  const regions = regionsConfig.regions || {};
+
+  logger.info(
+    `Analyzing ${weatherRules.types.length} weather types across ${
+      Object.keys(regions).length
+    } regions`
+  );
+
+  const report = analyzeTransitionGraph(weatherRules, regions, {
+    minEpochLength: MIN_EPOCH_LENGTH,
+  });
+
+  console.log("\n🔀 **Transition Graph Analysis**\n");
+
+  console.log(`❌ Illegal hops: ${report.illegalHops.length}`);
+  console.log(`❌ Unreachable conditions: ${report.unreachable.length}`);
+  console.log(
+    `⚠️ Paths longer than the ${MIN_EPOCH_LENGTH}-day minimum epoch: ${report.longPaths.length}`
+  );
+  console.log(`➡️ Direct jump pairs: ${report.directJumps.length}\n`);
+
+  report.errors.forEach((error) => console.log(`❌ ${error}`));
+  report.warnings.forEach((warning) => console.log(`⚠️ ${warning}`));
+
+  if (!quiet && report.directJumps.length > 0) {
+    console.log("\n➡️ Conditions that change directly (no intermediate day):");
+    const byFrom = {};
+    for (const { from, to } of report.directJumps) {
+      (byFrom[from] = byFrom[from] || []).push(to);
+    }
+    for (const [from, targets] of Object.entries(byFrom)) {
+      console.log(`   ${from} -> ${targets.join(", ")}`);
+    }
+  }
+
+  if (report.errors.length > 0) {
+    console.log(`\n❌ Transition graph has ${report.errors.length} error(s)`);
+    return 1;
+  }
+
+  console.log(
+    `\n✅ Transition graph is valid (${report.warnings.length} warning(s))`
+  );
+  return 0;
+}
+
+// If this script is run directly (not imported)
+if (require.main === module) {
+  try {
+    process.exit(runAnalysis());
+  } catch (error) {
+    logger.error(`Failed to analyze transitions: ${error.message}`);
+    console.error("❌ Failed to analyze transitions:", error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  runAnalysis,
+};
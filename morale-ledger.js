@@ -0,0 +1,147 @@
+const fs = require("fs");
+const {
+  getLocalRegionConfig,
+  campaignClock,
+  GOOGLE_SPREADSHEET_ID,
+  GOOGLE_SERVICE_ACCOUNT_KEY,
+} = require("./src/config/config");
+const { buildMoraleLedger } = require("./src/services/moraleLedger");
+const { fetchArmyOrders } = require("./src/services/googleSheetsService");
+const { getWeatherEmoji } = require("./src/services/weatherService");
+const { parseDayNumber } = require("./src/services/calendarService");
+const { formatMoraleEffect } = require("./src/utils/messageFormatter");
+const { parseFlags } = require("./src/utils/args");
+const { logger } = require("./src/utils/logger");
+
+/**
+ * Weather-driven morale per army: each army's morale changes and required
+ * morale checks from its orders and the weather where it is, summarized for
+ * orders resolution.
+ *
+ * Usage: node morale-ledger.js --file <orders.json> [--json]
+ *        node morale-ledger.js --sheet [--date <YYYY-MM-DD>] [--json]
+ *
+ * An orders file holds { "forcedMarchMult"?, "orders": [{ "army", "date",
+ * "region", "action", "milesPerDay"?, "travel"? }] } (or just the list).
+ * --sheet reads today's orders (or --date's) from the Commander Database.
+ */
+
+const USAGE = `Usage:
+  node morale-ledger.js --file <orders.json> [--json]
+  node morale-ledger.js --sheet [--date <YYYY-MM-DD>] [--json]`;
+
+const signed = (value) => `${value > 0 ? "+" : ""}${value}`;
+
+/**
+ * Orders from the Commander Database for one in-game date
+ * @param {string} [date] - YYYY-MM-DD (default: today's in-game date)
+ * @returns {object} { orders: [{ army, date, region, action, milesPerDay, travel }] }
+ */
+async function loadSheetOrders(date) {
+  if (!GOOGLE_SERVICE_ACCOUNT_KEY || !GOOGLE_SPREADSHEET_ID) {
+    throw new Error(
+      "Google Sheets not configured. Set GOOGLE_SERVICE_ACCOUNT_KEY and GOOGLE_SPREADSHEET_ID environment variables."
+    );
+  }
+  const day =
+    date || campaignClock.getGameDay(new Date()).toISOString().slice(0, 10);
+  if (parseDayNumber(day) === null) {
+    throw new Error("--date must be a date in YYYY-MM-DD format");
+  }
+
+  const orders = await fetchArmyOrders(
+    GOOGLE_SPREADSHEET_ID,
+    GOOGLE_SERVICE_ACCOUNT_KEY
+  );
+  return { orders: orders.map((order) => ({ ...order, date: day })) };
+}
+
+/**
+ * Format a morale ledger as text, one summary per army
+ * @param {object} ledger - From buildMoraleLedger
+ * @returns {string} Summaries for orders resolution
+ */
+function formatMoraleLedger(ledger) {
+  let content = "";
+  for (const army of ledger.armies) {
+    content += `\n⚔️ **${army.army}**\n`;
+    for (const day of army.days) {
+      // A night march is ruled by the night's weather
+      const weather =
+        day.march === "night"
+          ? `${getWeatherEmoji(day.nightCondition, true)} ${day.nightCondition}`
+          : `${getWeatherEmoji(day.condition)} ${day.condition}`;
+      const action =
+        day.march === "rest"
+          ? "rest"
+          : `${day.march} march, ${day.miles} miles`;
+      content += `${day.date} ${day.region}: ${weather}, ${action}\n`;
+      day.blocked.forEach((text) => (content += `   ⛔ ${text}\n`));
+      if (day.downgrade) content += `   ↩️ ${day.downgrade}\n`;
+      day.morale.forEach(
+        (effect) => (content += `   ${formatMoraleEffect(effect)}\n`)
+      );
+    }
+    army.errors.forEach((text) => (content += `❌ ${text}\n`));
+    content += `📊 **Morale:** ${signed(army.change)}, ${army.checks} morale check${
+      army.checks === 1 ? "" : "s"
+    }\n`;
+  }
+  return content;
+}
+
+async function runMoraleLedger(argv = process.argv.slice(2)) {
+  const flags = parseFlags(argv, ["sheet", "json", "help"]);
+  if (flags.help || (!flags.file && !flags.sheet)) {
+    console.log(USAGE);
+    return flags.help ? 0 : 1;
+  }
+
+  let input = flags.file
+    ? JSON.parse(fs.readFileSync(flags.file, "utf8"))
+    : await loadSheetOrders(flags.date);
+  if (Array.isArray(input)) input = { orders: input };
+  if (!Array.isArray(input.orders)) {
+    throw new Error("Orders must have an 'orders' array");
+  }
+
+  // An order whose region cannot be found is reported under its army
+  const orders = [];
+  for (const order of input.orders) {
+    const { region, ...rest } = order;
+    try {
+      orders.push({
+        ...rest,
+        regionConfig: await getLocalRegionConfig(region),
+      });
+    } catch (error) {
+      orders.push({ ...rest, regionConfig: null, error: error.message });
+    }
+  }
+  const ledger = buildMoraleLedger(orders, {
+    forcedMarchMult: input.forcedMarchMult,
+  });
+
+  if (flags.json) {
+    process.stdout.write(`${JSON.stringify(ledger, null, 2)}\n`);
+  } else {
+    process.stdout.write(formatMoraleLedger(ledger));
+  }
+  return 0;
+}
+
+// If this script is run directly (not imported)
+if (require.main === module) {
+  runMoraleLedger()
+    .then((code) => process.exit(code))
+    .catch((error) => {
+      logger.error(`Failed to build morale ledger: ${error.message}`);
+      console.error("❌ Failed to build morale ledger:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runMoraleLedger,
+  formatMoraleLedger,
+};
@@ -0,0 +1,151 @@
+const {
+  regionsConfig,
+  getOverridesFilePath,
+  GOOGLE_SPREADSHEET_ID,
+  GOOGLE_SERVICE_ACCOUNT_KEY,
+} = require("./src/config/config");
+const {
+  readOverridesFile,
+  writeOverridesFile,
+  addOverride,
+  findOverrides,
+} = require("./src/services/overrideService");
+const { fetchWeatherOverrides } = require("./src/services/googleSheetsService");
+const { getWeatherEmoji } = require("./src/services/weatherService");
+const { parseFlags } = require("./src/utils/args");
+const { logger } = require("./src/utils/logger");
+
+/**
+ * Manage GM weather overrides in the local overrides file
+ * (weather-overrides.json, or WEATHER_OVERRIDES_FILE). Overrides in the
+ * Google Sheet's "Weather Overrides" tab are edited in the sheet and shown
+ * by "list" when Google Sheets is configured.
+ *
+ * Usage: node overrides.js <add|list|remove|help> [--flags], see USAGE
+ */
+
+const USAGE = `Usage:
+  node overrides.js add --region <id> --from <YYYY-MM-DD> [--to <YYYY-MM-DD>] --weather <type> [--note <text>]
+  node overrides.js list [--region <id>] [--from <YYYY-MM-DD>] [--to <YYYY-MM-DD>]
+  node overrides.js remove --id <n>
+  node overrides.js remove --region <id> [--from <YYYY-MM-DD>] [--to <YYYY-MM-DD>]`;
+
+/**
+ * Format an override as one line
+ * @param {object} override - Override from the file or sheet
+ * @returns {string} Description line
+ */
+function formatOverride(override) {
+  const range =
+    override.endDate && override.endDate !== override.startDate
+      ? `${override.startDate} to ${override.endDate}`
+      : override.startDate;
+  return `#${override.id} ${getWeatherEmoji(override.weather)} ${
+    override.weather
+  } in ${override.region}, ${range}${
+    override.note ? ` - ${override.note}` : ""
+  }`;
+}
+
+async function runOverrides(argv = process.argv.slice(2)) {
+  const [command, ...args] = argv;
+  const flags = parseFlags(args);
+  const filePath = getOverridesFilePath();
+  const overrides = readOverridesFile(filePath);
+  const filter = {
+    region: flags.region,
+    startDate: flags.from,
+    endDate: flags.to,
+  };
+
+  switch (command) {
+    case "add": {
+      if (!flags.region || !flags.from || !flags.weather) {
+        throw new Error("add needs --region, --from and --weather");
+      }
+      if (!(regionsConfig.regions || {})[flags.region]) {
+        console.log(`⚠️ Region '${flags.region}' is not in regions.json`);
+      }
+      const added = addOverride(overrides, {
+        region: flags.region,
+        startDate: flags.from,
+        endDate: flags.to,
+        weather: flags.weather,
+        note: flags.note,
+      });
+      writeOverridesFile(filePath, overrides);
+      logger.info(`Added weather override ${added.id} to ${filePath}`);
+      console.log(`✅ Added ${formatOverride(added)}`);
+      return 0;
+    }
+
+    case "list": {
+      const listed = findOverrides(overrides, filter);
+      console.log(`\n📝 **Weather overrides** (${filePath})\n`);
+      if (listed.length === 0) console.log("   None");
+      listed.forEach((override) =>
+        console.log(`   ${formatOverride(override)}`)
+      );
+
+      if (GOOGLE_SPREADSHEET_ID && GOOGLE_SERVICE_ACCOUNT_KEY) {
+        const sheetOverrides = await fetchWeatherOverrides(
+          GOOGLE_SPREADSHEET_ID,
+          GOOGLE_SERVICE_ACCOUNT_KEY
+        );
+        const sheetListed = findOverrides(sheetOverrides, filter);
+        console.log(`\n📊 **Weather Overrides tab** (Google Sheets)\n`);
+        if (sheetListed.length === 0) console.log("   None");
+        sheetListed.forEach((override) =>
+          console.log(`   ${formatOverride(override)}`)
+        );
+      }
+      return 0;
+    }
+
+    case "remove": {
+      let removed;
+      if (flags.id !== undefined) {
+        removed = findOverrides(overrides, { id: Number(flags.id) });
+      } else if (flags.region) {
+        removed = findOverrides(overrides, filter);
+      } else {
+        throw new Error("remove needs --id or --region");
+      }
+
+      if (removed.length === 0) {
+        console.log("⚠️ No matching overrides");
+        return 1;
+      }
+      writeOverridesFile(
+        filePath,
+        overrides.filter((override) => !removed.includes(override))
+      );
+      logger.info(
+        `Removed ${removed.length} weather override(s) from ${filePath}`
+      );
+      removed.forEach((override) =>
+        console.log(`🗑️ Removed ${formatOverride(override)}`)
+      );
+      return 0;
+    }
+
+    default:
+      console.log(USAGE);
+      return command === "help" || command === undefined ? 0 : 1;
+  }
+}
+
+// If this script is run directly (not imported)
+if (require.main === module) {
+  runOverrides()
+    .then((code) => process.exit(code))
+    .catch((error) => {
+      logger.error(`Failed to manage overrides: ${error.message}`);
+      console.error("❌ Failed to manage overrides:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runOverrides,
+};
@@ -0,0 +1,136 @@
+const fs = require("fs");
+const { getLocalRegionConfig } = require("./src/config/config");
+const { planMarch } = require("./src/services/marchService");
+const { getWeatherEmoji } = require("./src/services/weatherService");
+const { formatMoraleEffect } = require("./src/utils/messageFormatter");
+const { parseFlags } = require("./src/utils/args");
+const { formatTextTable } = require("./src/utils/table");
+const { logger } = require("./src/utils/logger");
+
+/**
+ * Plan a multi-day march through regions against their weather, from
+ * regions.json alone (no Google Sheets credentials needed)
+ *
+ * Usage: node plan-march.js --from <YYYY-MM-DD> --route "<region>:<days>,..."
+ *   [--miles <n>] [--travel road|off-road] [--march day|night|forced]
+ *   [--forced-mult <n>] [--json]
+ *        node plan-march.js --file <route.json> [--forced-mult <n>] [--json]
+ *
+ * A route file holds { "startDate", "forcedMarchMult"?, "legs": [{ "region",
+ * "days", "milesPerDay"?, "travel"?, "march"? }] }, so each leg can differ.
+ * --forced-mult replaces the route's forced march multiplier, which is
+ * otherwise the weather rules' "forcedMarchMult".
+ */
+
+const USAGE = `Usage:
+  node plan-march.js --from <YYYY-MM-DD> --route "<region>:<days>,<region>:<days>" [--miles <n>] [--travel road|off-road] [--march day|night|forced] [--forced-mult <n>] [--json]
+  node plan-march.js --file <route.json> [--forced-mult <n>] [--json]`;
+
+/**
+ * Route from the command line flags
+ * @param {object} flags - Parsed flags
+ * @returns {object} { startDate, legs: [{ region, days, milesPerDay, travel, march }] }
+ */
+function parseRouteFlags(flags) {
+  const legs = flags.route.split(",").map((part) => {
+    const separator = part.lastIndexOf(":");
+    const region = (separator === -1 ? part : part.slice(0, separator)).trim();
+    const days = separator === -1 ? 1 : Number(part.slice(separator + 1));
+    return {
+      region,
+      days,
+      milesPerDay: flags.miles === undefined ? undefined : Number(flags.miles),
+      travel: flags.travel,
+      march: flags.march,
+    };
+  });
+  return { startDate: flags.from, legs };
+}
+
+/**
+ * Format a planned march as text
+ * @param {object} plan - From planMarch
+ * @returns {string} Table and totals
+ */
+function formatMarchPlan(plan) {
+  const rows = plan.days.map((d) => [
+    String(d.day),
+    d.date,
+    d.region,
+    // A night march is ruled by the night's weather
+    d.march === "night"
+      ? `${getWeatherEmoji(d.nightCondition, true)} ${d.nightCondition}`
+      : `${getWeatherEmoji(d.condition)} ${d.condition}`,
+    `${d.march} (${d.travel})`,
+    String(d.miles),
+  ]);
+  let content = `\n🧭 **March plan**\n\n`;
+  content += `${formatTextTable(
+    ["Day", "Date", "Region", "Weather", "March", "Miles"],
+    rows
+  )}\n`;
+
+  const notes = plan.days.filter(
+    (d) => d.blocked.length > 0 || d.downgrade || d.morale.length > 0
+  );
+  if (notes.length > 0) content += `\n`;
+  for (const d of notes) {
+    d.blocked.forEach((text) => (content += `Day ${d.day}: ⛔ ${text}\n`));
+    if (d.downgrade) content += `Day ${d.day}: ↩️ ${d.downgrade}\n`;
+    d.morale.forEach(
+      (effect) => (content += `Day ${d.day}: ${formatMoraleEffect(effect)}\n`)
+    );
+  }
+
+  content += `\n📏 **Total:** ${plan.totalMiles} miles in ${plan.days.length} days\n`;
+  return content;
+}
+
+async function runMarchPlanner(argv = process.argv.slice(2)) {
+  const flags = parseFlags(argv, ["json", "help"]);
+  if (flags.help || (!flags.file && !flags.route)) {
+    console.log(USAGE);
+    return flags.help ? 0 : 1;
+  }
+
+  const route = flags.file
+    ? JSON.parse(fs.readFileSync(flags.file, "utf8"))
+    : parseRouteFlags(flags);
+  if (!Array.isArray(route.legs)) {
+    throw new Error("Route must have a 'legs' array");
+  }
+
+  const legs = [];
+  for (const leg of route.legs) {
+    const { region, ...rest } = leg;
+    legs.push({ ...rest, regionConfig: await getLocalRegionConfig(region) });
+  }
+  const forcedMarchMult =
+    flags["forced-mult"] === undefined
+      ? route.forcedMarchMult
+      : Number(flags["forced-mult"]);
+  const plan = planMarch({ ...route, forcedMarchMult, legs });
+
+  if (flags.json) {
+    process.stdout.write(`${JSON.stringify(plan, null, 2)}\n`);
+  } else {
+    process.stdout.write(formatMarchPlan(plan));
+  }
+  return 0;
+}
+
+// If this script is run directly (not imported)
+if (require.main === module) {
+  runMarchPlanner()
+    .then((code) => process.exit(code))
+    .catch((error) => {
+      logger.error(`Failed to plan march: ${error.message}`);
+      console.error("❌ Failed to plan march:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runMarchPlanner,
+  formatMarchPlan,
+};
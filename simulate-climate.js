@@ -0,0 +1,237 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  getLocalRegionConfig,
+  getLocalRegionConfigs,
+} = require("./src/config/config");
+const { getRegionalWeatherForRange } = require("./src/services/weatherService");
+const { summarizeClimate } = require("./src/services/climateStats");
+const { parseDayNumber } = require("./src/services/calendarService");
+const { parseFlags } = require("./src/utils/args");
+const {
+  formatTextTable,
+  formatMarkdownTable,
+  formatHtmlTable,
+  escapeHtml,
+} = require("./src/utils/table");
+const { logger } = require("./src/utils/logger");
+
+/**
+ * Simulate one or more years of each region's weather and compare the
+ * climate it produces with the weights configured in regions.json: realized
+ * condition frequencies per season, streak lengths, the share of "Very Bad"
+ * days and days with fording impossible. GM overrides are left out; special
+ * events, fronts and year characters are part of the climate and stay in.
+ *
+ * Usage: node simulate-climate.js [--region <id>] [--years <n>]
+ *   [--from <YYYY-MM-DD>] [--report markdown|html] [--out <file>]
+ */
+
+const USAGE = `Usage:
+  node simulate-climate.js [--region <id>] [--years <n>] [--from <YYYY-MM-DD>] [--report markdown|html] [--out <file>]`;
+
+const REPORT_FORMATS = { md: "markdown", markdown: "markdown", html: "html" };
+const MS_PER_DAY = 86400000;
+
+const percent = (share) => `${(share * 100).toFixed(1)}%`;
+
+/**
+ * Simulate a region's weather and summarize it
+ * @param {object} regionConfig - Region config (see config.js)
+ * @param {number} startDay - First day number
+ * @param {number} endDay - Last day number (inclusive)
+ * @returns {object} Summary from summarizeClimate
+ */
+function simulateRegion(regionConfig, startDay, endDay) {
+  const days = getRegionalWeatherForRange(
+    { ...regionConfig, overrides: undefined },
+    new Date(startDay * MS_PER_DAY),
+    new Date(endDay * MS_PER_DAY)
+  );
+  return summarizeClimate(days, regionConfig.seasonalWeather);
+}
+
+/**
+ * Report section for a region: summary lines and tables
+ * @param {object} regionConfig - Region config
+ * @param {object} summary - From summarizeClimate
+ * @returns {{ title, lines: Array<string>, tables: Array<{ title, headers, rows }> }}
+ */
+function buildRegionSection(regionConfig, summary) {
+  const lines = [
+    `${summary.days} days simulated`,
+    `Average streak ${summary.averageStreak.toFixed(1)} days, longest ${
+      summary.maxStreak
+    } days`,
+    `Days lost to Very Bad weather: ${summary.veryBad.days} (${percent(
+      summary.veryBad.share
+    )})`,
+    `Days with fording impossible: ${summary.noFording.days} (${percent(
+      summary.noFording.share
+    )})`,
+  ];
+
+  const tables = Object.entries(summary.seasons).map(([season, data]) => ({
+    title: `${season[0].toUpperCase()}${season.slice(1)} (${data.days} days)`,
+    headers: ["Condition", "Configured", "Realized", "Difference", "Days"],
+    rows: data.conditions.map((c) => {
+      const difference = (c.realized - c.configured) * 100;
+      return [
+        c.condition,
+        percent(c.configured),
+        percent(c.realized),
+        `${difference >= 0 ? "+" : ""}${difference.toFixed(1)}`,
+        String(c.days),
+      ];
+    }),
+  }));
+
+  tables.push({
+    title: "Streaks",
+    headers: ["Condition", "Streaks", "Average", "Longest"],
+    rows: summary.streaks.map((s) => [
+      s.condition,
+      String(s.streaks),
+      s.average.toFixed(1),
+      String(s.max),
+    ]),
+  });
+
+  return { title: regionConfig.name, lines, tables };
+}
+
+function formatText(title, sections) {
+  const out = [`\n📊 **${title}**\n`];
+  for (const section of sections) {
+    out.push(`🗺️ **${section.title}**`);
+    section.lines.forEach((line) => out.push(`   ${line}`));
+    for (const table of section.tables) {
+      out.push(`\n   ${table.title}`);
+      out.push(
+        formatTextTable(table.headers, table.rows)
+          .split("\n")
+          .map((line) => `   ${line}`)
+          .join("\n")
+      );
+    }
+    out.push("");
+  }
+  return `${out.join("\n")}\n`;
+}
+
+function formatMarkdown(title, sections) {
+  const out = [`# ${title}`, ""];
+  for (const section of sections) {
+    out.push(`## ${section.title}`, "");
+    section.lines.forEach((line) => out.push(`- ${line}`));
+    for (const table of section.tables) {
+      out.push("", `### ${table.title}`, "");
+      out.push(formatMarkdownTable(table.headers, table.rows));
+    }
+    out.push("");
+  }
+  return out.join("\n");
+}
+
+function formatHtml(title, sections) {
+  const out = [
+    "<!DOCTYPE html>",
+    '<html lang="en">',
+    "<head>",
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(title)}</title>`,
+    "<style>body{font-family:sans-serif;margin:2em}table{border-collapse:collapse;margin-bottom:1em}th,td{border:1px solid #ccc;padding:2px 8px;text-align:left}</style>",
+    "</head>",
+    "<body>",
+    `<h1>${escapeHtml(title)}</h1>`,
+  ];
+  for (const section of sections) {
+    out.push(`<h2>${escapeHtml(section.title)}</h2>`, "<ul>");
+    section.lines.forEach((line) => out.push(`<li>${escapeHtml(line)}</li>`));
+    out.push("</ul>");
+    for (const table of section.tables) {
+      out.push(`<h3>${escapeHtml(table.title)}</h3>`);
+      out.push(formatHtmlTable(table.headers, table.rows));
+    }
+  }
+  out.push("</body>", "</html>");
+  return `${out.join("\n")}\n`;
+}
+
+async function runSimulation(argv = process.argv.slice(2)) {
+  const flags = parseFlags(argv, ["help"]);
+  if (flags.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const years = flags.years === undefined ? 1 : Number(flags.years);
+  if (!Number.isInteger(years) || years < 1) {
+    throw new Error("--years must be a whole number of 1 or more");
+  }
+  const from = flags.from || `${new Date().getUTCFullYear()}-01-01`;
+  const startDay = parseDayNumber(from);
+  if (startDay === null) {
+    throw new Error("--from must be a date in YYYY-MM-DD format");
+  }
+  const start = new Date(startDay * MS_PER_DAY);
+  const endDay =
+    Math.floor(
+      Date.UTC(
+        start.getUTCFullYear() + years,
+        start.getUTCMonth(),
+        start.getUTCDate()
+      ) / MS_PER_DAY
+    ) - 1;
+
+  // Without --report, a .md or .html output file picks its own format
+  const extension = flags.out ? path.extname(flags.out).slice(1) : "";
+  const report = REPORT_FORMATS[flags.report || extension];
+  if (flags.report && !report) {
+    throw new Error("--report must be markdown or html");
+  }
+
+  const regionConfigs = flags.region
+    ? [await getLocalRegionConfig(flags.region)]
+    : await getLocalRegionConfigs();
+
+  logger.info(
+    `Simulating ${years} year(s) of weather from ${from} for ${regionConfigs.length} region(s)`
+  );
+  const sections = regionConfigs.map((regionConfig) =>
+    buildRegionSection(
+      regionConfig,
+      simulateRegion(regionConfig, startDay, endDay)
+    )
+  );
+
+  const title = `Climate simulation: ${years} year(s) from ${from}`;
+  let output = formatText(title, sections);
+  if (report === "markdown") output = formatMarkdown(title, sections);
+  if (report === "html") output = formatHtml(title, sections);
+
+  if (flags.out) {
+    fs.writeFileSync(flags.out, output);
+    logger.info(`Wrote climate report to ${flags.out}`);
+    console.log(`✅ Wrote ${report || "text"} report to ${flags.out}`);
+  } else {
+    process.stdout.write(output);
+  }
+  return 0;
+}
+
+// If this script is run directly (not imported)
+if (require.main === module) {
+  runSimulation()
+    .then((code) => process.exit(code))
+    .catch((error) => {
+      logger.error(`Failed to simulate climate: ${error.message}`);
+      console.error("❌ Failed to simulate climate:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runSimulation,
+  simulateRegion,
+};
@@ -0,0 +1,150 @@
+/**
+ * Climate templates
+ *
+ * - The optional top-level "climates" section of regions.json holds named
+ *   templates ("temperate coastal", "alpine") shaped like a region
+ * - Regions and templates may "extend" a template and override only what
+ *   differs: whole seasons, single season fields, or condition weights
+ * - Chains may be several templates long; cycles and missing templates are
+ *   reported by findTemplateErrors
+ */
+
+/**
+ * Apply a season's "weights" overrides to its conditions table
+ * Existing conditions take the new weight, new ones are appended, and a
+ * weight of 0 removes the condition
+ * @param {Array} conditions - Inherited conditions table
+ * @param {object} weights - Condition -> weight
+ * @returns {Array<object>} Conditions as { result, weight } entries
+ */
+function applyWeights(conditions, weights) {
+  const table = (conditions || []).map((entry) =>
+    typeof entry === "string"
+      ? { result: entry, weight: 1 }
+      : { result: entry.result, weight: entry.weight ?? 1 }
+  );
+
+  for (const [result, weight] of Object.entries(weights)) {
+    const existing = table.find((entry) => entry.result === result);
+    if (existing) existing.weight = weight;
+    else table.push({ result, weight });
+  }
+
+  return table.filter((entry) => entry.weight > 0);
+}
+
+/**
+ * Merge a child season over the inherited one
+ */
+function mergeSeason(parentSeason, childSeason) {
+  if (!childSeason) return parentSeason;
+  const merged = { ...parentSeason, ...childSeason };
+  if (childSeason.weights) {
+    merged.conditions = applyWeights(merged.conditions, childSeason.weights);
+    delete merged.weights;
+  }
+  return merged;
+}
+
+/**
+ * Merge a region or template over the template it extends
+ * Fields are inherited unless overridden; seasonalWeather merges per season
+ */
+function mergeDefinition(parent, child) {
+  const merged = { ...parent, ...child };
+  if (!parent.seasonalWeather && !child.seasonalWeather) return merged;
+
+  const parentSeasons = parent.seasonalWeather || {};
+  const childSeasons = child.seasonalWeather || {};
+  merged.seasonalWeather = {};
+  for (const season of new Set([
+    ...Object.keys(parentSeasons),
+    ...Object.keys(childSeasons),
+  ])) {
+    merged.seasonalWeather[season] = mergeSeason(
+      parentSeasons[season],
+      childSeasons[season]
+    );
+  }
+  return merged;
+}
+
+/**
+ * Find problems in the chain of templates a definition extends
+ * @param {object} definition - Region or template definition
+ * @param {object} climates - "climates" section
+ * @returns {Array<string>} Problems, e.g. "extends unknown climate template 'x'"
+ */
+function findTemplateErrors(definition, climates = {}) {
+  const chain = [];
+  let current = definition;
+  while (current && current.extends !== undefined) {
+    const name = current.extends;
+    if (chain.includes(name)) {
+      return [`extends templates in a cycle: ${[...chain, name].join(" -> ")}`];
+    }
+    chain.push(name);
+    if (!climates[name]) {
+      return [`extends unknown climate template '${name}'`];
+    }
+    current = climates[name];
+  }
+  return [];
+}
+
+/**
+ * Resolve a definition's inheritance chain
+ * @param {object} definition - Region or template definition
+ * @param {object} climates - "climates" section
+ * @returns {object} Definition with every inherited field filled in
+ * @throws {Error} If the chain has a cycle or a missing template
+ */
+function resolveDefinition(definition, climates = {}) {
+  const errors = findTemplateErrors(definition, climates);
+  if (errors.length > 0) throw new Error(errors[0]);
+
+  // Walk up to the root template, then merge back down
+  const chain = [definition];
+  while (chain[chain.length - 1].extends !== undefined) {
+    chain.push(climates[chain[chain.length - 1].extends]);
+  }
+
+  let resolved = {};
+  for (let i = chain.length - 1; i >= 0; i--) {
+    resolved = mergeDefinition(resolved, chain[i]);
+  }
+  // Keep the region's own "extends" so validation can still follow the chain
+  if (definition.extends !== undefined) resolved.extends = definition.extends;
+  else delete resolved.extends;
+  return resolved;
+}
+
+/**
+ * Resolve every region in a regions.json config
+ * Regions whose chain cannot be resolved are kept as written and reported
+ * by validateRegionDefinition
+ * @param {object} config - Parsed regions.json
+ * @returns {object} Config with resolved regions
+ */
+function resolveRegionTemplates(config) {
+  if (!config.regions) return config;
+
+  const climates = config.climates || {};
+  const regions = {};
+  for (const [regionId, region] of Object.entries(config.regions)) {
+    try {
+      regions[regionId] = resolveDefinition(region, climates);
+    } catch (error) {
+      console.warn(`[CONFIG] Region '${regionId}' ${error.message}`);
+      regions[regionId] = region;
+    }
+  }
+  return { ...config, regions };
+}
+
+module.exports = {
+  applyWeights,
+  findTemplateErrors,
+  resolveDefinition,
+  resolveRegionTemplates,
+};
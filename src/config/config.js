@@ -1,7 +1,50 @@
 require("dotenv").config();
 const fs = require("fs");
 const path = require("path");
-const { fetchWebhookConfig } = require("../services/googleSheetsService");
+const {
+  fetchWebhookConfig,
+  fetchWeatherOverrides,
+} = require("../services/googleSheetsService");
+const {
+  weatherRules,
+  TEMPERATURE_BANDS,
+  WIND_STRENGTHS,
+  validateScaleRange,
+} = require("./weatherRules");
+const {
+  createCalendar,
+  validateCalendarDefinition,
+} = require("../services/calendarService");
+const {
+  createCampaignClock,
+  validateClockDefinition,
+} = require("../services/clockService");
+const {
+  createEventCalendar,
+  validateEventDefinitions,
+} = require("../services/eventService");
+const {
+  createPhenomena,
+  validatePhenomenaDefinitions,
+} = require("../services/phenomenaService");
+const {
+  createFronts,
+  validateFrontDefinitions,
+} = require("../services/frontService");
+const { validateYearlyVariation } = require("../services/yearService");
+const { validateForecastAccuracy } = require("../services/forecastService");
+const { validateRegionTerrain } = require("../services/terrainService");
+const { validateRiverDefinitions } = require("../services/riverService");
+const {
+  createOverrides,
+  validateOverrideDefinitions,
+  readOverridesFile,
+} = require("../services/overrideService");
+const { WEATHER_MODELS } = require("../services/weatherService");
+const {
+  findTemplateErrors,
+  resolveRegionTemplates,
+} = require("./climateTemplates");
 
 /**
  * Simplified configuration module
@@ -19,6 +62,9 @@ const GOOGLE_SPREADSHEET_ID = process.env.GOOGLE_SPREADSHEET_ID;
 let webhookConfig = null;
 let webhookConfigPromise = null;
 
+// Cached GM weather overrides (local file + optional Sheets tab)
+let campaignOverridesPromise = null;
+
 /**
  * Normalize region IDs by trimming whitespace from keys
  */
@@ -41,7 +87,8 @@ function normalizeRegionKeys(config) {
 
 /**
  * Load regions configuration from environment variable or local file
- * This contains weather probabilities for each region
+ * This contains weather probabilities for each region, with climate
+ * templates ("extends") already resolved
  */
 function loadRegionsConfig() {
   // First, check for REGIONS_CONFIG environment variable (used in GitHub Actions)
@@ -51,7 +98,7 @@ function loadRegionsConfig() {
       console.log(
         "[CONFIG] Loaded regions from REGIONS_CONFIG environment variable"
       );
-      return normalizeRegionKeys(config);
+      return resolveRegionTemplates(normalizeRegionKeys(config));
     } catch (error) {
       console.error(
         `[CONFIG] Failed to parse REGIONS_CONFIG: ${error.message}`
@@ -73,7 +120,7 @@ function loadRegionsConfig() {
       if (fs.existsSync(configPath)) {
         const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
         console.log(`[CONFIG] Loaded regions.json from: ${configPath}`);
-        return normalizeRegionKeys(config);
+        return resolveRegionTemplates(normalizeRegionKeys(config));
       }
     } catch (error) {
       console.warn(
@@ -89,6 +136,123 @@ function loadRegionsConfig() {
 // Load regions config on startup
 const regionsConfig = loadRegionsConfig();
 
+/**
+ * Build the campaign calendar from the optional "calendar" section
+ * Falls back to the Gregorian calendar if none is defined or it is invalid
+ */
+function loadCampaignCalendar() {
+  try {
+    const calendar = createCalendar(regionsConfig.calendar);
+    if (regionsConfig.calendar) {
+      console.log(`[CONFIG] Using campaign calendar: ${calendar.name}`);
+    }
+    return calendar;
+  } catch (error) {
+    console.error(`[CONFIG] ${error.message}. Using Gregorian calendar.`);
+    return createCalendar(null);
+  }
+}
+
+const campaignCalendar = loadCampaignCalendar();
+
+/**
+ * Build the campaign clock from the optional "campaignClock" section
+ * Falls back to real time if none is defined or it is invalid
+ */
+function loadCampaignClock() {
+  try {
+    const clock = createCampaignClock(regionsConfig.campaignClock);
+    if (regionsConfig.campaignClock) {
+      console.log(`[CONFIG] Using campaign clock: ${clock.name}`);
+    }
+    return clock;
+  } catch (error) {
+    console.error(`[CONFIG] ${error.message}. Using real time.`);
+    return createCampaignClock(null);
+  }
+}
+
+const campaignClock = loadCampaignClock();
+
+/**
+ * Build the special events calendar from the optional "events" section
+ * Without an "events" section the built-in events (the comet) are used
+ */
+function loadCampaignEvents() {
+  try {
+    const events = createEventCalendar(regionsConfig.events);
+    if (regionsConfig.events) {
+      console.log(`[CONFIG] Loaded ${events.events.length} special events`);
+    }
+    return events;
+  } catch (error) {
+    console.error(`[CONFIG] ${error.message}. Ignoring special events.`);
+    return createEventCalendar([]);
+  }
+}
+
+const campaignEvents = loadCampaignEvents();
+
+/**
+ * Build the rare phenomena table from the optional "phenomena" section
+ */
+function loadCampaignPhenomena() {
+  try {
+    const phenomena = createPhenomena(regionsConfig.phenomena);
+    if (regionsConfig.phenomena) {
+      console.log(
+        `[CONFIG] Loaded ${phenomena.phenomena.length} rare phenomena`
+      );
+    }
+    return phenomena;
+  } catch (error) {
+    console.error(`[CONFIG] ${error.message}. Ignoring rare phenomena.`);
+    return createPhenomena([]);
+  }
+}
+
+const campaignPhenomena = loadCampaignPhenomena();
+
+/**
+ * Build the weather fronts from the optional "fronts" section and the
+ * regions' "neighbors" lists
+ */
+function loadCampaignFronts() {
+  try {
+    const fronts = createFronts(regionsConfig.fronts, regionsConfig.regions);
+    if (regionsConfig.fronts) {
+      console.log(
+        `[CONFIG] Loaded ${Object.keys(fronts.fronts).length} weather fronts`
+      );
+    }
+    return fronts;
+  } catch (error) {
+    console.error(`[CONFIG] ${error.message}. Ignoring weather fronts.`);
+    return createFronts(undefined);
+  }
+}
+
+const campaignFronts = loadCampaignFronts();
+
+/**
+ * Campaign seed from the optional "campaignSeed" setting
+ * Without one, every roll is seeded from the region alone (the original weather)
+ */
+function loadCampaignSeed() {
+  const seed = regionsConfig.campaignSeed;
+  if (seed === undefined || seed === null || seed === "") return null;
+  if (typeof seed !== "string" && typeof seed !== "number") {
+    console.error(
+      "[CONFIG] campaignSeed must be a string or number. Ignoring it."
+    );
+    return null;
+  }
+  console.log(`[CONFIG] Using campaign seed: ${seed}`);
+  return seed;
+}
+
+const campaignSeed = loadCampaignSeed();
+
 /**
  * Fetch webhook configuration from Google Sheets
  * Caches the result for subsequent calls
@@ -131,11 +295,84 @@ async function loadWebhookConfig() {
   return result;
 }
 
+/**
+ * Get path of the local GM weather overrides file
+ * WEATHER_OVERRIDES_FILE may point elsewhere (e.g. in GitHub Actions)
+ */
+function getOverridesFilePath() {
+  return (
+    process.env.WEATHER_OVERRIDES_FILE ||
+    path.join(process.cwd(), "weather-overrides.json")
+  );
+}
+
+/**
+ * Keep the overrides that are valid, warning about the rest
+ */
+function filterValidOverrides(overrides, source) {
+  return overrides.filter((override, index) => {
+    const errors = validateOverrideDefinitions([override]);
+    if (errors.length > 0) {
+      console.warn(
+        `[CONFIG] Ignoring override ${index + 1} from ${source}: ${errors.join(
+          "; "
+        )}`
+      );
+    }
+    return errors.length === 0;
+  });
+}
+
+/**
+ * Build the GM weather overrides from the local overrides file and, when
+ * Google Sheets is configured, its "Weather Overrides" tab
+ * Sheet overrides are listed last, so they win where the two overlap
+ * Caches the result for subsequent calls
+ */
+async function loadCampaignOverrides() {
+  if (campaignOverridesPromise) return campaignOverridesPromise;
+
+  campaignOverridesPromise = (async () => {
+    let overrides = [];
+    const filePath = getOverridesFilePath();
+    try {
+      overrides = filterValidOverrides(readOverridesFile(filePath), filePath);
+    } catch (error) {
+      console.error(
+        `[CONFIG] Failed to load overrides from ${filePath}: ${error.message}`
+      );
+    }
+
+    if (GOOGLE_SERVICE_ACCOUNT_KEY && GOOGLE_SPREADSHEET_ID) {
+      try {
+        const sheetOverrides = await fetchWeatherOverrides(
+          GOOGLE_SPREADSHEET_ID,
+          GOOGLE_SERVICE_ACCOUNT_KEY
+        );
+        overrides.push(
+          ...filterValidOverrides(sheetOverrides, "Google Sheets")
+        );
+      } catch (error) {
+        console.error(
+          `[CONFIG] Failed to load overrides from Google Sheets: ${error.message}`
+        );
+      }
+    }
+
+    if (overrides.length > 0) {
+      console.log(`[CONFIG] Loaded ${overrides.length} weather overrides`);
+    }
+    return createOverrides(overrides);
+  })();
+
+  return campaignOverridesPromise;
+}
+
 /**
  * Find weather config for a region ID, with fallback matching
  * Handles cases where sheet has "Patlania Frostborough Region" but config has "Patlania Frostborough"
  * @param {string} regionId - Region ID from Google Sheets
- * @returns {object|null} Weather config object or null if not found
+ * @returns {object|null} Weather config object (climate templates resolved) or null if not found
  */
 function findWeatherConfig(regionId) {
   if (!regionsConfig.regions) return null;
@@ -206,11 +443,58 @@ async function getRegionConfig(regionId) {
 
   // Get weather config with fallback matching
   const weatherConfig = findWeatherConfig(regionId);
+  const overrides = await loadCampaignOverrides();
+
+  return buildRegionConfig(regionId, weatherConfig, overrides, webhookUrls);
+}
+
+/**
+ * Get configuration for a region from regions.json alone, without webhooks
+ * For tools that only need the weather (no Google Sheets credentials needed)
+ * @param {string} regionId - Region ID in regions.json
+ * @returns {Promise<object>} Region config, with an empty webhookUrls list
+ * @throws {Error} If the region is not in regions.json
+ */
+async function getLocalRegionConfig(regionId) {
+  const weatherConfig = findWeatherConfig(regionId);
+  if (!weatherConfig) {
+    throw new Error(`Region '${regionId}' is not in regions.json`);
+  }
+  const overrides = await loadCampaignOverrides();
+  return buildRegionConfig(regionId, weatherConfig, overrides, []);
+}
 
+/**
+ * Get configuration for every region in regions.json, without webhooks
+ * @returns {Promise<Array<object>>} Region configs, in regions.json order
+ */
+async function getLocalRegionConfigs() {
+  return Promise.all(
+    Object.keys(regionsConfig.regions || {}).map(getLocalRegionConfig)
+  );
+}
+
+/**
+ * Region config from its regions.json entry and the campaign-wide settings
+ */
+function buildRegionConfig(regionId, weatherConfig, overrides, webhookUrls) {
   return {
     id: regionId,
     name: weatherConfig ? weatherConfig.name : regionId,
     seasonalWeather: weatherConfig ? weatherConfig.seasonalWeather : null,
+    weatherModel: (weatherConfig && weatherConfig.weatherModel) || "epoch",
+    seasonBlendDays: (weatherConfig && weatherConfig.seasonBlendDays) || 0,
+    yearlyVariation: (weatherConfig && weatherConfig.yearlyVariation) || null,
+    forecastAccuracy: (weatherConfig && weatherConfig.forecastAccuracy) || null,
+    terrain: (weatherConfig && weatherConfig.terrain) || [],
+    rivers: (weatherConfig && weatherConfig.rivers) || [],
+    calendar: campaignCalendar,
+    clock: campaignClock,
+    events: campaignEvents,
+    phenomena: campaignPhenomena,
+    fronts: campaignFronts,
+    campaignSeed,
+    overrides,
     webhookUrls,
     hasWeatherConfig: !!weatherConfig,
   };
@@ -226,14 +510,86 @@ async function getWeeklyForecastWebhookUrl() {
 
 /**
  * Validate a region definition structure
+ * @param {string} regionId - Region ID
+ * @param {object} regionData - Region definition
+ * @param {object} [climates] - Climate templates the region may extend
  */
-function validateRegionDefinition(regionId, regionData) {
+function validateRegionDefinition(
+  regionId,
+  regionData,
+  climates = regionsConfig.climates
+) {
   const errors = [];
 
   if (!regionData.name) {
     errors.push(`Region '${regionId}' missing required field: name`);
   }
 
+  for (const error of findTemplateErrors(regionData, climates)) {
+    errors.push(`Region '${regionId}' ${error}`);
+  }
+
+  if (
+    regionData.weatherModel !== undefined &&
+    !WEATHER_MODELS.includes(regionData.weatherModel)
+  ) {
+    errors.push(
+      `Region '${regionId}' weatherModel must be one of: ${WEATHER_MODELS.join(
+        ", "
+      )}`
+    );
+  }
+
+  if (
+    regionData.seasonBlendDays !== undefined &&
+    !(
+      Number.isInteger(regionData.seasonBlendDays) &&
+      regionData.seasonBlendDays >= 0
+    )
+  ) {
+    errors.push(
+      `Region '${regionId}' seasonBlendDays must be a whole number of days`
+    );
+  }
+
+  if (regionData.yearlyVariation !== undefined) {
+    errors.push(
+      ...validateYearlyVariation(
+        regionData.yearlyVariation,
+        `Region '${regionId}' yearlyVariation`
+      )
+    );
+  }
+
+  if (regionData.forecastAccuracy !== undefined) {
+    errors.push(
+      ...validateForecastAccuracy(
+        regionData.forecastAccuracy,
+        `Region '${regionId}' forecastAccuracy`
+      )
+    );
+  }
+
+  if (regionData.terrain !== undefined) {
+    errors.push(
+      ...validateRegionTerrain(
+        regionData.terrain,
+        weatherRules.terrain,
+        `Region '${regionId}' terrain`
+      )
+    );
+  }
+
+  if (regionData.rivers !== undefined) {
+    errors.push(
+      ...validateRiverDefinitions(
+        regionData.rivers,
+        weatherRules.typeSet,
+        `Region '${regionId}' river`
+      )
+    );
+  }
+
   if (!regionData.seasonalWeather) {
     errors.push(`Region '${regionId}' missing required field: seasonalWeather`);
   } else {
@@ -255,6 +611,43 @@ function validateRegionDefinition(regionId, regionData) {
         errors.push(
           `Region '${regionId}' season '${season}' conditions cannot be empty`
         );
+      } else {
+        // Conditions must be weather types defined in the weather rules
+        for (const entry of seasonData.conditions) {
+          const result = typeof entry === "string" ? entry : entry.result;
+          if (!weatherRules.typeSet.has(result)) {
+            errors.push(
+              `Region '${regionId}' season '${season}' uses unknown weather type '${result}'`
+            );
+          }
+        }
+      }
+
+      // Optional temperature and wind ranges for the season
+      if (seasonData.temperature !== undefined) {
+        errors.push(
+          ...validateScaleRange(
+            seasonData.temperature,
+            TEMPERATURE_BANDS,
+            `Region '${regionId}' season '${season}' temperature`
+          )
+        );
+      }
+      if (seasonData.wind !== undefined) {
+        errors.push(
+          ...validateScaleRange(
+            seasonData.wind,
+            WIND_STRENGTHS,
+            `Region '${regionId}' season '${season}' wind`
+          )
+        );
+      }
+
+      // Markov regions need a transition matrix per season
+      if (regionData.weatherModel === "markov") {
+        errors.push(
+          ...validateMarkovMatrix(regionId, season, seasonData.matrix)
+        );
       }
     }
   }
@@ -262,6 +655,39 @@ function validateRegionDefinition(regionId, regionData) {
   return errors;
 }
 
+/**
+ * Validate a season's Markov transition matrix
+ * { "Clear Skies": [{ "result": "Fog", "weight": 2 }, ...], ... }
+ */
+function validateMarkovMatrix(regionId, season, matrix) {
+  const label = `Region '${regionId}' season '${season}'`;
+  if (!matrix || typeof matrix !== "object" || Array.isArray(matrix)) {
+    return [`${label} must define a 'matrix' object for the markov model`];
+  }
+
+  const errors = [];
+  for (const [from, row] of Object.entries(matrix)) {
+    if (!weatherRules.typeSet.has(from)) {
+      errors.push(
+        `${label} matrix has a row for unknown weather type '${from}'`
+      );
+    }
+    if (!Array.isArray(row) || row.length === 0) {
+      errors.push(`${label} matrix row '${from}' must be a non-empty array`);
+      continue;
+    }
+    for (const entry of row) {
+      const result = typeof entry === "string" ? entry : entry.result;
+      if (!weatherRules.typeSet.has(result)) {
+        errors.push(
+          `${label} matrix row '${from}' uses unknown weather type '${result}'`
+        );
+      }
+    }
+  }
+  return errors;
+}
+
 /**
  * Validate all regions in the current configuration
  */
@@ -277,6 +703,40 @@ function validateAllRegions() {
     allErrors.push(...errors);
   });
 
+  for (const [name, template] of Object.entries(regionsConfig.climates || {})) {
+    for (const error of findTemplateErrors(template, regionsConfig.climates)) {
+      allErrors.push(`Climate template '${name}' ${error}`);
+    }
+  }
+
+  if (regionsConfig.calendar) {
+    allErrors.push(...validateCalendarDefinition(regionsConfig.calendar));
+  }
+
+  if (regionsConfig.campaignClock) {
+    allErrors.push(...validateClockDefinition(regionsConfig.campaignClock));
+  }
+
+  if (regionsConfig.events) {
+    allErrors.push(...validateEventDefinitions(regionsConfig.events));
+  }
+
+  if (regionsConfig.phenomena) {
+    allErrors.push(...validatePhenomenaDefinitions(regionsConfig.phenomena));
+  }
+
+  if (
+    regionsConfig.campaignSeed !== undefined &&
+    !["string", "number"].includes(typeof regionsConfig.campaignSeed)
+  ) {
+    allErrors.push("campaignSeed must be a string or number");
+  }
+
+  // Neighbour lists are checked even without a "fronts" section
+  allErrors.push(
+    ...validateFrontDefinitions(regionsConfig.fronts, regionsConfig.regions)
+  );
+
   return allErrors;
 }
 
@@ -290,12 +750,22 @@ function getRegionsFilePath() {
 // Export simplified configuration
 module.exports = {
   regionsConfig,
+  campaignCalendar,
+  campaignClock,
+  campaignEvents,
+  campaignPhenomena,
+  campaignFronts,
+  campaignSeed,
   getConfiguredRegions,
   getRegionConfig,
+  getLocalRegionConfig,
+  getLocalRegionConfigs,
   getWeeklyForecastWebhookUrl,
   validateRegionDefinition,
   validateAllRegions,
   getRegionsFilePath,
+  getOverridesFilePath,
+  loadCampaignOverrides,
   // For Google Sheets integration
   GOOGLE_SPREADSHEET_ID,
   GOOGLE_SERVICE_ACCOUNT_KEY,
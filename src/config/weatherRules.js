@@ -0,0 +1,326 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  IMPACT_TYPES,
+  validateImpactValues,
+  validateImpactRules,
+} = require("../services/impactService");
+const { validateTerrainDefinitions } = require("../services/terrainService");
+const { validateMoraleDefinitions } = require("../services/moraleService");
+
+/**
+ * Weather rules configuration
+ *
+ * - Weather types, their emoji, mechanical impacts and transition paths are
+ *   loaded from a weather-rules.json file next to regions.json
+ * - The built-in default (weather-rules-default.json) is the standard set:
+ *   Clear Skies, Light Rain, Heavy Rain, Storm, Hot, Heatwave, Snow, Blizzard, Fog
+ * - Impact rules (see impactService) phrase impactData as posted impacts, and
+ *   terrain modifiers (see terrainService) adjust it per region terrain and
+ *   morale effects (see moraleService) apply to armies per condition;
+ *   rules files without "impactRules", "terrain" or "morale" use the
+ *   built-in ones
+ * - "forcedMarchMult" is how much further a forced march goes than a day
+ *   march (see marchService), 1.5 unless the rules file sets it
+ */
+
+const DEFAULT_RULES_PATH = path.join(__dirname, "weather-rules-default.json");
+
+// Impact fields a weather type may leave out (a condition with no effect)
+const DEFAULT_IMPACTS = Object.freeze({
+  roadMult: 1,
+  offRoadMult: 1,
+  canForcedMarch: true,
+  canNightMarch: true,
+  zeroVisibility: false,
+  canFordRivers: true,
+  type: "None",
+  special: "",
+});
+
+const DEFAULT_EMOJI = "🌤️";
+
+// Temperature bands and wind strengths, coldest / calmest first
+const TEMPERATURE_BANDS = ["Freezing", "Cold", "Cool", "Mild", "Warm", "Hot"];
+const WIND_STRENGTHS = ["Calm", "Breezy", "Windy", "Strong", "Gale"];
+
+/**
+ * Validate a { min, max } range of temperature bands or wind strengths
+ * @param {object} range - Range definition
+ * @param {Array<string>} scale - TEMPERATURE_BANDS or WIND_STRENGTHS
+ * @param {string} label - Prefix for error messages
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateScaleRange(range, scale, label) {
+  if (!range || typeof range !== "object") {
+    return [`${label} must be an object with 'min' and 'max'`];
+  }
+  const errors = [];
+  for (const bound of ["min", "max"]) {
+    if (!scale.includes(range[bound])) {
+      errors.push(`${label} '${bound}' must be one of: ${scale.join(", ")}`);
+    }
+  }
+  if (
+    errors.length === 0 &&
+    scale.indexOf(range.min) > scale.indexOf(range.max)
+  ) {
+    errors.push(`${label} 'min' is above 'max'`);
+  }
+  return errors;
+}
+
+/**
+ * Validate a weather rules definition
+ * @param {object} definition - Parsed weather-rules.json
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateWeatherRulesDefinition(definition) {
+  const errors = [];
+
+  const weatherTypes = definition && definition.weatherTypes;
+  if (!weatherTypes || Object.keys(weatherTypes).length === 0) {
+    return ["Weather rules must define at least one entry in 'weatherTypes'"];
+  }
+
+  for (const [name, typeDef] of Object.entries(weatherTypes)) {
+    const impacts = (typeDef && typeDef.impacts) || {};
+
+    errors.push(...validateImpactValues(impacts, `Weather type '${name}'`));
+
+    if (typeDef && typeDef.temperature !== undefined) {
+      errors.push(
+        ...validateScaleRange(
+          typeDef.temperature,
+          TEMPERATURE_BANDS,
+          `Weather type '${name}' temperature`
+        )
+      );
+    }
+    if (typeDef && typeDef.wind !== undefined) {
+      errors.push(
+        ...validateScaleRange(
+          typeDef.wind,
+          WIND_STRENGTHS,
+          `Weather type '${name}' wind`
+        )
+      );
+    }
+
+    if (typeDef && typeDef.night !== undefined) {
+      if (!Array.isArray(typeDef.night) || typeDef.night.length === 0) {
+        errors.push(
+          `Weather type '${name}' night must be a non-empty array of conditions`
+        );
+      } else {
+        for (const entry of typeDef.night) {
+          const result = typeof entry === "string" ? entry : entry?.result;
+          if (!weatherTypes[result]) {
+            errors.push(
+              `Weather type '${name}' night uses unknown weather type '${result}'`
+            );
+          }
+        }
+      }
+    }
+  }
+
+  if (definition.impactRules !== undefined) {
+    errors.push(...validateImpactRules(definition.impactRules));
+  }
+
+  if (definition.terrain !== undefined) {
+    errors.push(
+      ...validateTerrainDefinitions(
+        definition.terrain,
+        weatherTypes,
+        DEFAULT_IMPACTS
+      )
+    );
+  }
+
+  if (definition.morale !== undefined) {
+    errors.push(...validateMoraleDefinitions(definition.morale, weatherTypes));
+  }
+
+  if (
+    definition.forcedMarchMult !== undefined &&
+    !(
+      typeof definition.forcedMarchMult === "number" &&
+      definition.forcedMarchMult >= 1
+    )
+  ) {
+    errors.push(
+      "Weather rules 'forcedMarchMult' must be a number of 1 or more"
+    );
+  }
+
+  const transitions = definition.transitions || {};
+  for (const [from, targets] of Object.entries(transitions)) {
+    if (!weatherTypes[from]) {
+      errors.push(`Transitions reference unknown weather type '${from}'`);
+      continue;
+    }
+    for (const [to, paths] of Object.entries(targets)) {
+      if (!weatherTypes[to]) {
+        errors.push(
+          `Transition '${from}' -> '${to}' targets unknown weather type '${to}'`
+        );
+        continue;
+      }
+      if (!Array.isArray(paths) || paths.length === 0) {
+        errors.push(
+          `Transition '${from}' -> '${to}' must be a non-empty array of paths`
+        );
+        continue;
+      }
+      paths.forEach((steps, index) => {
+        if (!Array.isArray(steps) || steps.length === 0) {
+          errors.push(
+            `Transition '${from}' -> '${to}' path ${
+              index + 1
+            } must be a non-empty array`
+          );
+          return;
+        }
+        for (const step of steps) {
+          if (!weatherTypes[step]) {
+            errors.push(
+              `Transition '${from}' -> '${to}' path ${
+                index + 1
+              } uses unknown weather type '${step}'`
+            );
+          }
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+// Sections of the built-in default ("impactRules", "terrain", "morale",
+// "forcedMarchMult") for rules files that leave them out, read once when
+// first needed
+let defaultDefinition = null;
+
+function getDefaultSection(section) {
+  if (!defaultDefinition) {
+    defaultDefinition = JSON.parse(fs.readFileSync(DEFAULT_RULES_PATH, "utf8"));
+  }
+  return defaultDefinition[section];
+}
+
+/**
+ * Build the runtime rules object from a definition
+ * @param {object} definition - Parsed weather-rules.json
+ * @returns {object} { types, typeSet, impacts, emoji, nightEmoji, night, temperature, wind, transitions, impactRules, terrain, morale, forcedMarchMult }
+ */
+function createWeatherRules(definition) {
+  const errors = validateWeatherRulesDefinition(definition);
+  if (errors.length > 0) {
+    throw new Error(`Invalid weather rules: ${errors.join("; ")}`);
+  }
+
+  const types = Object.keys(definition.weatherTypes);
+  const impacts = {};
+  const emoji = {};
+  const nightEmoji = {};
+  const night = {};
+  const temperature = {};
+  const wind = {};
+
+  for (const name of types) {
+    const typeDef = definition.weatherTypes[name];
+    impacts[name] = Object.freeze({ ...DEFAULT_IMPACTS, ...typeDef.impacts });
+    emoji[name] = typeDef.emoji || DEFAULT_EMOJI;
+    nightEmoji[name] = typeDef.nightEmoji || emoji[name];
+    night[name] = typeDef.night || null;
+    // Unconstrained unless the type narrows the range
+    temperature[name] = typeDef.temperature || null;
+    wind[name] = typeDef.wind || null;
+  }
+
+  return Object.freeze({
+    types: Object.freeze(types),
+    typeSet: new Set(types),
+    impacts: Object.freeze(impacts),
+    emoji: Object.freeze(emoji),
+    nightEmoji: Object.freeze(nightEmoji),
+    night: Object.freeze(night),
+    temperature: Object.freeze(temperature),
+    wind: Object.freeze(wind),
+    transitions: definition.transitions || {},
+    impactRules: definition.impactRules || getDefaultSection("impactRules"),
+    terrain: Object.freeze(definition.terrain || getDefaultSection("terrain")),
+    morale: Object.freeze(definition.morale || getDefaultSection("morale")),
+    forcedMarchMult:
+      definition.forcedMarchMult ?? getDefaultSection("forcedMarchMult"),
+  });
+}
+
+/**
+ * Load the weather rules from environment variable or local file
+ * Falls back to the built-in default rules
+ */
+function loadWeatherRules() {
+  // First, check for WEATHER_RULES_CONFIG environment variable (used in GitHub Actions)
+  if (process.env.WEATHER_RULES_CONFIG) {
+    try {
+      const rules = createWeatherRules(
+        JSON.parse(process.env.WEATHER_RULES_CONFIG)
+      );
+      console.log(
+        "[CONFIG] Loaded weather rules from WEATHER_RULES_CONFIG environment variable"
+      );
+      return rules;
+    } catch (error) {
+      console.error(
+        `[CONFIG] Failed to load WEATHER_RULES_CONFIG: ${error.message}`
+      );
+    }
+  }
+
+  // Fall back to local file (same locations as regions.json)
+  const possiblePaths = [
+    path.join(process.cwd(), "weather-rules.json"),
+    path.join(process.cwd(), "config", "weather-rules.json"),
+    path.join(process.cwd(), "src", "config", "weather-rules.json"),
+    path.join(__dirname, "weather-rules.json"),
+  ];
+
+  for (const rulesPath of possiblePaths) {
+    try {
+      if (fs.existsSync(rulesPath)) {
+        const rules = createWeatherRules(
+          JSON.parse(fs.readFileSync(rulesPath, "utf8"))
+        );
+        console.log(`[CONFIG] Loaded weather rules from: ${rulesPath}`);
+        return rules;
+      }
+    } catch (error) {
+      console.warn(
+        `[CONFIG] Failed to load weather rules from ${rulesPath}: ${error.message}`
+      );
+    }
+  }
+
+  return createWeatherRules(
+    JSON.parse(fs.readFileSync(DEFAULT_RULES_PATH, "utf8"))
+  );
+}
+
+// Load weather rules on startup
+const weatherRules = loadWeatherRules();
+
+module.exports = {
+  weatherRules,
+  createWeatherRules,
+  validateWeatherRulesDefinition,
+  DEFAULT_RULES_PATH,
+  DEFAULT_IMPACTS,
+  IMPACT_TYPES,
+  TEMPERATURE_BANDS,
+  WIND_STRENGTHS,
+  validateScaleRange,
+};
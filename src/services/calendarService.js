@@ -0,0 +1,279 @@
+/**
+ * Calendar Service
+ * Maps real (UTC) dates onto the campaign calendar: in-world date labels,
+ * weekday names and seasons. The Gregorian calendar is the default.
+ */
+
+const MS_PER_DAY = 86400000;
+const SEASONS = ["spring", "summer", "autumn", "winter"];
+
+/**
+ * Add an English ordinal suffix to a number (1st, 2nd, 3rd, 4th, 11th, ...)
+ * @param {number} n - Day number
+ * @returns {string} Number with ordinal suffix
+ */
+function ordinal(n) {
+  const mod100 = n % 100;
+  if (mod100 >= 11 && mod100 <= 13) return `${n}th`;
+  switch (n % 10) {
+    case 1:
+      return `${n}st`;
+    case 2:
+      return `${n}nd`;
+    case 3:
+      return `${n}rd`;
+    default:
+      return `${n}th`;
+  }
+}
+
+/**
+ * Parse a "YYYY-MM-DD" string into a UTC day number (days since 1970-01-01)
+ * @param {string} value - ISO date string
+ * @returns {number|null} Day number or null if invalid
+ */
+function parseDayNumber(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || "");
+  if (!match) return null;
+  const time = Date.UTC(+match[1], +match[2] - 1, +match[3]);
+  return Number.isNaN(time) ? null : Math.floor(time / MS_PER_DAY);
+}
+
+// ----------------------
+// Gregorian calendar (Northern Hemisphere seasons)
+// ----------------------
+const getGregorianSeason = (date) => {
+  const month = date.getUTCMonth() + 1;
+  const day = date.getUTCDate();
+
+  if (month === 3 && day >= 20) return "spring";
+  if (month === 4 || month === 5) return "spring";
+  if (month === 6 && day < 21) return "spring";
+
+  if (month === 6 && day >= 21) return "summer";
+  if (month === 7 || month === 8) return "summer";
+  if (month === 9 && day < 22) return "summer";
+
+  if (month === 9 && day >= 22) return "autumn";
+  if (month === 10 || month === 11) return "autumn";
+  if (month === 12 && day < 21) return "autumn";
+
+  return "winter";
+};
+
+const GREGORIAN_CALENDAR = Object.freeze({
+  name: "Gregorian",
+  toCalendarDate(date) {
+    return {
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      monthName: date.toLocaleDateString("en-US", {
+        month: "long",
+        timeZone: "UTC",
+      }),
+      day: date.getUTCDate(),
+      dayOfYear: Math.floor(
+        (date.getTime() - Date.UTC(date.getUTCFullYear(), 0, 1)) / MS_PER_DAY
+      ),
+      weekday: this.getDayOfWeek(date),
+    };
+  },
+  formatDate(date) {
+    return date.toLocaleDateString("en-US", {
+      month: "long",
+      day: "numeric",
+      timeZone: "UTC",
+    });
+  },
+  getDayOfWeek(date) {
+    return date.toLocaleDateString("en-US", {
+      weekday: "long",
+      timeZone: "UTC",
+    });
+  },
+  getSeason: getGregorianSeason,
+});
+
+/**
+ * Validate a calendar definition from regions.json
+ * @param {object} definition - Calendar definition
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateCalendarDefinition(definition) {
+  const errors = [];
+
+  if (parseDayNumber(definition.startDate) === null) {
+    errors.push("Calendar 'startDate' must be a date in YYYY-MM-DD format");
+  }
+
+  if (!Array.isArray(definition.months) || definition.months.length === 0) {
+    errors.push("Calendar must define a non-empty 'months' array");
+  } else {
+    definition.months.forEach((month, index) => {
+      if (!month || !month.name) {
+        errors.push(`Calendar month ${index + 1} missing required field: name`);
+      }
+      if (!Number.isInteger(month?.days) || month.days < 1) {
+        errors.push(
+          `Calendar month '${month?.name || index + 1}' must have a positive integer 'days'`
+        );
+      }
+    });
+  }
+
+  if (!Array.isArray(definition.weekdays) || definition.weekdays.length === 0) {
+    errors.push("Calendar must define a non-empty 'weekdays' array");
+  } else if (
+    definition.firstWeekday !== undefined &&
+    !(
+      Number.isInteger(definition.firstWeekday) &&
+      definition.firstWeekday >= 0 &&
+      definition.firstWeekday < definition.weekdays.length
+    )
+  ) {
+    errors.push(
+      `Calendar 'firstWeekday' must be an integer between 0 and ${
+        definition.weekdays.length - 1
+      }`
+    );
+  }
+
+  if (definition.era) {
+    if (
+      definition.era.yearOffset !== undefined &&
+      !Number.isInteger(definition.era.yearOffset)
+    ) {
+      errors.push("Calendar 'era.yearOffset' must be an integer");
+    }
+  }
+
+  if (!definition.seasons) {
+    errors.push("Calendar missing required field: seasons");
+  } else {
+    const monthNames = (definition.months || []).map((m) => m && m.name);
+    for (const season of SEASONS) {
+      const start = definition.seasons[season];
+      if (!start) {
+        errors.push(`Calendar missing start day for season: ${season}`);
+        continue;
+      }
+      const monthIndex = monthNames.indexOf(start.month);
+      if (monthIndex === -1) {
+        errors.push(
+          `Calendar season '${season}' starts in unknown month '${start.month}'`
+        );
+      } else if (
+        !Number.isInteger(start.day) ||
+        start.day < 1 ||
+        start.day > definition.months[monthIndex].days
+      ) {
+        errors.push(
+          `Calendar season '${season}' start day must be between 1 and ${definition.months[monthIndex].days}`
+        );
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Create a campaign calendar from a regions.json definition
+ *
+ * Example definition:
+ * {
+ *   "startDate": "2026-01-01",           // real date of the 1st day of year yearOffset
+ *   "era": { "name": "AR", "yearOffset": 1203 },
+ *   "months": [{ "name": "Frostfall", "days": 30 }, ...],
+ *   "weekdays": ["Moonday", "Tiwsday", ...],
+ *   "seasons": { "spring": { "month": "Thaw", "day": 1 }, ... }
+ * }
+ *
+ * @param {object|null} definition - Calendar definition, or null for Gregorian
+ * @returns {object} Calendar with toCalendarDate, formatDate, getDayOfWeek, getSeason
+ */
+function createCalendar(definition) {
+  if (!definition) return GREGORIAN_CALENDAR;
+
+  const errors = validateCalendarDefinition(definition);
+  if (errors.length > 0) {
+    throw new Error(`Invalid calendar definition: ${errors.join("; ")}`);
+  }
+
+  const startDay = parseDayNumber(definition.startDate);
+  const months = definition.months;
+  const weekdays = definition.weekdays;
+  const eraName = definition.era?.name || "";
+  const yearOffset = definition.era?.yearOffset ?? 1;
+  const firstWeekday = definition.firstWeekday ?? 0;
+
+  // Day-of-year (0-indexed) on which each month begins
+  const monthStarts = [];
+  let yearLength = 0;
+  for (const month of months) {
+    monthStarts.push(yearLength);
+    yearLength += month.days;
+  }
+
+  // Season start days sorted by day-of-year
+  const seasonStarts = SEASONS.map((season) => {
+    const start = definition.seasons[season];
+    const monthIndex = months.findIndex((m) => m.name === start.month);
+    return { season, dayOfYear: monthStarts[monthIndex] + start.day - 1 };
+  }).sort((a, b) => a.dayOfYear - b.dayOfYear);
+
+  const daysSinceStart = (date) =>
+    Math.floor(date.getTime() / MS_PER_DAY) - startDay;
+
+  return {
+    name: definition.name || "Campaign",
+    toCalendarDate(date) {
+      const days = daysSinceStart(date);
+      const yearIndex = Math.floor(days / yearLength);
+      const dayOfYear = days - yearIndex * yearLength;
+
+      let monthIndex = months.length - 1;
+      while (monthStarts[monthIndex] > dayOfYear) monthIndex--;
+
+      return {
+        year: yearIndex + yearOffset,
+        month: monthIndex + 1,
+        monthName: months[monthIndex].name,
+        day: dayOfYear - monthStarts[monthIndex] + 1,
+        dayOfYear,
+        weekday: this.getDayOfWeek(date),
+      };
+    },
+    formatDate(date) {
+      const { year, monthName, day } = this.toCalendarDate(date);
+      return `${ordinal(day)} of ${monthName}, ${year}${
+        eraName ? ` ${eraName}` : ""
+      }`;
+    },
+    getDayOfWeek(date) {
+      const index =
+        (((daysSinceStart(date) + firstWeekday) % weekdays.length) +
+          weekdays.length) %
+        weekdays.length;
+      return weekdays[index];
+    },
+    getSeason(date) {
+      const { dayOfYear } = this.toCalendarDate(date);
+      // Latest season start on or before this day, wrapping to the last
+      // season of the previous year
+      let current = seasonStarts[seasonStarts.length - 1].season;
+      for (const start of seasonStarts) {
+        if (start.dayOfYear <= dayOfYear) current = start.season;
+      }
+      return current;
+    },
+  };
+}
+
+module.exports = {
+  GREGORIAN_CALENDAR,
+  createCalendar,
+  validateCalendarDefinition,
+  ordinal,
+  parseDayNumber,
+};
@@ -0,0 +1,130 @@
+/**
+ * Climate Stats
+ * Measures the climate a region's weather actually produces - after epochs,
+ * transition paths, blending and year characters - against the weights
+ * configured for it in regions.json.
+ *
+ * Works on a list of days from getWeatherForRange, so it can summarize a
+ * simulated decade or a real stretch of campaign weather alike.
+ */
+
+/**
+ * Configured share of each condition in a season table
+ * @param {object} seasonData - { conditions: [...] }
+ * @returns {object} Condition -> share (0 to 1)
+ */
+function getConfiguredShares(seasonData) {
+  const entries = ((seasonData && seasonData.conditions) || []).map((entry) =>
+    typeof entry === "string"
+      ? { result: entry, weight: 1 }
+      : { result: entry.result, weight: entry.weight ?? 1 }
+  );
+  const total = entries.reduce((sum, e) => sum + e.weight, 0);
+  const shares = {};
+  for (const { result, weight } of entries) {
+    shares[result] = (shares[result] || 0) + (total > 0 ? weight / total : 0);
+  }
+  return shares;
+}
+
+/**
+ * Runs of the same condition on consecutive days
+ * @param {Array<object>} days - Weather per day, in order
+ * @returns {Array<{ condition: string, length: number }>} Runs in order
+ */
+function getStreaks(days) {
+  const streaks = [];
+  for (const { condition } of days) {
+    const last = streaks[streaks.length - 1];
+    if (last && last.condition === condition) {
+      last.length++;
+    } else {
+      streaks.push({ condition, length: 1 });
+    }
+  }
+  return streaks;
+}
+
+/**
+ * Summarize a region's weather over consecutive days
+ * @param {Array<object>} days - Weather per day from getWeatherForRange
+ * @param {object} seasonalWeatherConfig - Region's seasonal weather config
+ * @returns {object} {
+ *   days,
+ *   seasons: { [season]: { days, conditions: [{ condition, days, realized, configured }] } },
+ *   streaks: [{ condition, streaks, average, max }],
+ *   averageStreak, maxStreak,
+ *   veryBad: { days, share },
+ *   noFording: { days, share }
+ * }
+ */
+function summarizeClimate(days, seasonalWeatherConfig) {
+  // Realized counts per season, next to every configured condition
+  const seasons = {};
+  for (const season of Object.keys(seasonalWeatherConfig)) {
+    seasons[season] = { days: 0, counts: {} };
+  }
+  for (const { season, condition } of days) {
+    const entry = (seasons[season] = seasons[season] || {
+      days: 0,
+      counts: {},
+    });
+    entry.days++;
+    entry.counts[condition] = (entry.counts[condition] || 0) + 1;
+  }
+
+  const seasonSummaries = {};
+  for (const [season, { days: seasonDays, counts }] of Object.entries(
+    seasons
+  )) {
+    const configured = getConfiguredShares(seasonalWeatherConfig[season]);
+    const conditions = [
+      ...new Set([...Object.keys(configured), ...Object.keys(counts)]),
+    ].map((condition) => ({
+      condition,
+      days: counts[condition] || 0,
+      realized: seasonDays > 0 ? (counts[condition] || 0) / seasonDays : 0,
+      configured: configured[condition] || 0,
+    }));
+    seasonSummaries[season] = { days: seasonDays, conditions };
+  }
+
+  // Streak lengths per condition
+  const streaks = getStreaks(days);
+  const byCondition = new Map();
+  for (const { condition, length } of streaks) {
+    const lengths = byCondition.get(condition) || [];
+    lengths.push(length);
+    byCondition.set(condition, lengths);
+  }
+  const streakSummaries = [...byCondition].map(([condition, lengths]) => ({
+    condition,
+    streaks: lengths.length,
+    average: lengths.reduce((sum, n) => sum + n, 0) / lengths.length,
+    max: Math.max(...lengths),
+  }));
+
+  const share = (count) => (days.length > 0 ? count / days.length : 0);
+  const veryBadDays = days.filter(
+    (day) => day.impactData.type === "Very Bad"
+  ).length;
+  const noFordingDays = days.filter(
+    (day) => day.impactData.canFordRivers === false
+  ).length;
+
+  return {
+    days: days.length,
+    seasons: seasonSummaries,
+    streaks: streakSummaries,
+    averageStreak: streaks.length > 0 ? days.length / streaks.length : 0,
+    maxStreak: Math.max(0, ...streaks.map((s) => s.length)),
+    veryBad: { days: veryBadDays, share: share(veryBadDays) },
+    noFording: { days: noFordingDays, share: share(noFordingDays) },
+  };
+}
+
+module.exports = {
+  getConfiguredShares,
+  getStreaks,
+  summarizeClimate,
+};
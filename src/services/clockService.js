@@ -0,0 +1,128 @@
+const { parseDayNumber } = require("./calendarService");
+
+/**
+ * Clock Service
+ * Maps real (UTC) time onto in-game time. Campaigns can start at a different
+ * in-game date than the real date and run faster or slower than real time.
+ * The default clock is real time: in-game date === real UTC date.
+ */
+
+const MS_PER_DAY = 86400000;
+
+/**
+ * Build a clock object around a real -> game time mapping
+ * @param {string} name - Clock name for logging
+ * @param {function(Date): Date} toGameTime - Real instant -> in-game instant
+ * @returns {object} Clock
+ */
+function buildClock(name, toGameTime) {
+  return {
+    name,
+    toGameTime,
+
+    /**
+     * In-game day (UTC midnight) at a real instant
+     * @param {Date} realDate - Real instant
+     * @returns {Date} In-game day
+     */
+    getGameDay(realDate) {
+      const gameTime = toGameTime(realDate).getTime();
+      return new Date(Math.floor(gameTime / MS_PER_DAY) * MS_PER_DAY);
+    },
+
+    /**
+     * All in-game days that overlap a span of whole real UTC days
+     * @param {Date} realDate - Any instant on the first real day
+     * @param {number} realDays - Number of real days in the span
+     * @returns {Array<Date>} In-game days (UTC midnight), oldest first
+     */
+    getGameDays(realDate, realDays = 1) {
+      const from = Math.floor(realDate.getTime() / MS_PER_DAY) * MS_PER_DAY;
+      const to = from + realDays * MS_PER_DAY;
+
+      const firstDay = Math.floor(
+        toGameTime(new Date(from)).getTime() / MS_PER_DAY
+      );
+      const lastDay = Math.max(
+        firstDay,
+        Math.ceil(toGameTime(new Date(to)).getTime() / MS_PER_DAY) - 1
+      );
+
+      const days = [];
+      for (let day = firstDay; day <= lastDay; day++) {
+        days.push(new Date(day * MS_PER_DAY));
+      }
+      return days;
+    },
+  };
+}
+
+const REAL_TIME_CLOCK = Object.freeze(
+  buildClock("Real time", (realDate) => new Date(realDate.getTime()))
+);
+
+/**
+ * Validate a campaign clock definition from regions.json
+ * @param {object} definition - Clock definition
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateClockDefinition(definition) {
+  const errors = [];
+
+  if (parseDayNumber(definition.realStartDate) === null) {
+    errors.push(
+      "Campaign clock 'realStartDate' must be a date in YYYY-MM-DD format"
+    );
+  }
+  if (parseDayNumber(definition.gameStartDate) === null) {
+    errors.push(
+      "Campaign clock 'gameStartDate' must be a date in YYYY-MM-DD format"
+    );
+  }
+  if (
+    definition.timeRatio !== undefined &&
+    !(typeof definition.timeRatio === "number" && definition.timeRatio > 0)
+  ) {
+    errors.push("Campaign clock 'timeRatio' must be a positive number");
+  }
+
+  return errors;
+}
+
+/**
+ * Create a campaign clock from a regions.json definition
+ *
+ * Example definition:
+ * {
+ *   "realStartDate": "2026-10-01",  // real date the campaign started
+ *   "gameStartDate": "2026-11-20",  // in-game date on that real date
+ *   "timeRatio": 2                  // in-game days per real day
+ * }
+ *
+ * @param {object|null} definition - Clock definition, or null for real time
+ * @returns {object} Clock with toGameTime, getGameDay, getGameDays
+ */
+function createCampaignClock(definition) {
+  if (!definition) return REAL_TIME_CLOCK;
+
+  const errors = validateClockDefinition(definition);
+  if (errors.length > 0) {
+    throw new Error(`Invalid campaign clock: ${errors.join("; ")}`);
+  }
+
+  const realStart = parseDayNumber(definition.realStartDate) * MS_PER_DAY;
+  const gameStart = parseDayNumber(definition.gameStartDate) * MS_PER_DAY;
+  const timeRatio = definition.timeRatio ?? 1;
+
+  return buildClock(
+    `${timeRatio}x from ${definition.gameStartDate}`,
+    (realDate) =>
+      new Date(gameStart + (realDate.getTime() - realStart) * timeRatio)
+  );
+}
+
+module.exports = {
+  REAL_TIME_CLOCK,
+  createCampaignClock,
+  validateClockDefinition,
+};
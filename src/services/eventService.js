@@ -0,0 +1,197 @@
+const { GREGORIAN_CALENDAR, parseDayNumber } = require("./calendarService");
+const { weatherRules } = require("../config/weatherRules");
+const { validateMoraleEffects } = require("./moraleService");
+
+/**
+ * Event Service
+ * Special events from the "events" section of regions.json: one-off dates,
+ * multi-day ranges and annually recurring festivals, optionally limited to
+ * some regions and optionally forcing a weather condition. An event's
+ * "morale" effects (see moraleService) apply to armies while it runs.
+ */
+
+const MS_PER_DAY = 86400000;
+
+// Used when regions.json has no "events" section, so existing campaigns keep
+// the comet. Set "events": [] to disable it.
+const DEFAULT_EVENTS = [
+  {
+    name: "Gunhilde",
+    date: "2026-05-14",
+    weather: "Clear Skies",
+    label: "CELESTIAL EVENT",
+    emoji: "☄️",
+    description:
+      "The comet Gunhilde traces a bright green line across the sky. Everyone who sees it feels uplifted.",
+    effect: "Recover 1 Morale",
+    morale: [{ change: 1, text: "Recover 1 Morale" }],
+  },
+];
+
+// The built-in events, leaving out forced weather the active rules do not
+// define (a rules file without "Clear Skies" still gets the comet)
+function getDefaultEvents(weatherTypes = weatherRules.typeSet) {
+  return DEFAULT_EVENTS.map(({ weather, ...event }) =>
+    weatherTypes.has(weather) ? { ...event, weather } : event
+  );
+}
+
+/**
+ * Validate the events list from regions.json
+ * @param {Array} events - Event definitions
+ * @param {Set<string>} [weatherTypes] - Valid weather types for forced weather
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateEventDefinitions(events, weatherTypes = weatherRules.typeSet) {
+  if (!Array.isArray(events)) {
+    return ["Events must be an array"];
+  }
+
+  const errors = [];
+  events.forEach((event, index) => {
+    const label = event && event.name ? `'${event.name}'` : `${index + 1}`;
+    if (!event || !event.name) {
+      errors.push(`Event ${label} missing required field: name`);
+      return;
+    }
+
+    const schedules = ["date", "startDate", "annual"].filter(
+      (field) => event[field] !== undefined
+    );
+    if (schedules.length !== 1) {
+      errors.push(
+        `Event ${label} must define exactly one of: date, startDate/endDate, annual`
+      );
+    }
+
+    if (event.date !== undefined && parseDayNumber(event.date) === null) {
+      errors.push(`Event ${label} 'date' must be in YYYY-MM-DD format`);
+    }
+    if (event.startDate !== undefined) {
+      const start = parseDayNumber(event.startDate);
+      const end = parseDayNumber(event.endDate);
+      if (start === null || end === null) {
+        errors.push(
+          `Event ${label} 'startDate' and 'endDate' must be in YYYY-MM-DD format`
+        );
+      } else if (end < start) {
+        errors.push(`Event ${label} 'endDate' is before 'startDate'`);
+      }
+    }
+    if (event.annual !== undefined) {
+      if (
+        !event.annual ||
+        event.annual.month === undefined ||
+        !Number.isInteger(event.annual.day)
+      ) {
+        errors.push(
+          `Event ${label} 'annual' must define a month (name or number) and day`
+        );
+      }
+    }
+    if (
+      event.days !== undefined &&
+      !(Number.isInteger(event.days) && event.days >= 1)
+    ) {
+      errors.push(`Event ${label} 'days' must be a positive integer`);
+    }
+    if (event.regions !== undefined && !Array.isArray(event.regions)) {
+      errors.push(`Event ${label} 'regions' must be an array of region IDs`);
+    }
+    if (event.weather !== undefined && !weatherTypes.has(event.weather)) {
+      errors.push(
+        `Event ${label} forces unknown weather type '${event.weather}'`
+      );
+    }
+    if (event.morale !== undefined) {
+      errors.push(
+        ...validateMoraleEffects(event.morale, `Event ${label} morale`)
+      );
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Check whether an annual event is running on a date
+ * Annual events are matched in the campaign calendar, and may run into the
+ * following month or year when 'days' is larger than 1
+ */
+function isAnnualEventActive(event, date, calendar) {
+  const days = event.days || 1;
+  for (let offset = 0; offset < days; offset++) {
+    const start = calendar.toCalendarDate(
+      new Date(date.getTime() - offset * MS_PER_DAY)
+    );
+    const monthMatches =
+      typeof event.annual.month === "number"
+        ? start.month === event.annual.month
+        : start.monthName === event.annual.month;
+    if (monthMatches && start.day === event.annual.day) return true;
+  }
+  return false;
+}
+
+/**
+ * Create an event calendar from the regions.json events list
+ * @param {Array|undefined} definitions - Event definitions (undefined for defaults)
+ * @returns {object} Event calendar with getActiveEvents
+ */
+function createEventCalendar(definitions) {
+  const events = definitions === undefined ? getDefaultEvents() : definitions;
+
+  const errors = validateEventDefinitions(events);
+  if (errors.length > 0) {
+    throw new Error(`Invalid events: ${errors.join("; ")}`);
+  }
+
+  // Pre-compute day ranges for dated events
+  const scheduled = events.map((event) => {
+    if (event.annual) return { event };
+    const startDay = parseDayNumber(event.startDate || event.date);
+    const endDay = event.endDate
+      ? parseDayNumber(event.endDate)
+      : startDay + (event.days || 1) - 1;
+    return { event, startDay, endDay };
+  });
+
+  return {
+    events,
+
+    /**
+     * Events active on a date in a region
+     * @param {Date} date - In-game date
+     * @param {string} regionId - Region ID
+     * @param {object} [calendar] - Campaign calendar for annual events
+     * @returns {Array<object>} Active events, in configured order
+     */
+    getActiveEvents(date, regionId, calendar = GREGORIAN_CALENDAR) {
+      const day = Math.floor(date.getTime() / MS_PER_DAY);
+      return scheduled
+        .filter(({ event, startDay, endDay }) => {
+          if (event.regions && !event.regions.includes(regionId)) return false;
+          if (event.annual) return isAnnualEventActive(event, date, calendar);
+          return day >= startDay && day <= endDay;
+        })
+        .map(({ event }) => ({
+          name: event.name,
+          label: event.label || "SPECIAL EVENT",
+          emoji: event.emoji || "🎉",
+          description: event.description || "",
+          effect: event.effect || "",
+          weather: event.weather || null,
+          morale: event.morale || [],
+        }));
+    },
+  };
+}
+
+const DEFAULT_EVENT_CALENDAR = createEventCalendar(undefined);
+
+module.exports = {
+  DEFAULT_EVENTS,
+  DEFAULT_EVENT_CALENDAR,
+  createEventCalendar,
+  validateEventDefinitions,
+};
@@ -0,0 +1,149 @@
+const {
+  seededRandom,
+  hashRegion,
+  withCampaignSeed,
+} = require("../utils/random");
+
+/**
+ * Forecast Service
+ * Uncertain weekly forecasts for regions with "forecastAccuracy". The first
+ * day of a forecast is exact; each later day is right with a chance that
+ * falls with distance:
+ *
+ * "forecastAccuracy": { "mode": "likely", "decay": 0.1, "minimum": 0.3 }
+ *
+ * - mode: "likely" shows one most likely condition, which can be wrong;
+ *   "spread" shows chances such as "60% Light Rain, 30% Storm"
+ * - decay: accuracy lost per day ahead (day 2 = 0.9, day 3 = 0.8, ...)
+ * - minimum: accuracy never falls below this
+ *
+ * Guesses are seeded per region and target day, so re-running gives the same
+ * forecast, and a day predicted right stays right as it comes closer.
+ */
+
+const FORECAST_MODES = ["likely", "spread"];
+const DEFAULT_DECAY = 0.1;
+const DEFAULT_MINIMUM = 0.3;
+const MS_PER_DAY = 86400000;
+
+/**
+ * Validate a region's "forecastAccuracy" setting
+ * @param {object} setting - { mode?, decay?, minimum? }
+ * @param {string} label - Prefix for error messages
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateForecastAccuracy(setting, label) {
+  if (!setting || typeof setting !== "object" || Array.isArray(setting)) {
+    return [`${label} must be an object`];
+  }
+
+  const errors = [];
+  if (setting.mode !== undefined && !FORECAST_MODES.includes(setting.mode)) {
+    errors.push(`${label} mode must be one of: ${FORECAST_MODES.join(", ")}`);
+  }
+  for (const field of ["decay", "minimum"]) {
+    const value = setting[field];
+    if (
+      value !== undefined &&
+      !(typeof value === "number" && value >= 0 && value <= 1)
+    ) {
+      errors.push(`${label} ${field} must be between 0 and 1`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Chance a forecast is right
+ * @param {object} setting - Region's "forecastAccuracy"
+ * @param {number} ahead - Days ahead of the first forecast day (0 = exact)
+ * @returns {number} Accuracy between 0 and 1
+ */
+function getForecastAccuracy(setting, ahead) {
+  if (ahead <= 0) return 1;
+  const decay = setting.decay ?? DEFAULT_DECAY;
+  const minimum = setting.minimum ?? DEFAULT_MINIMUM;
+  return Math.max(minimum, 1 - decay * ahead);
+}
+
+// Season table as { result, weight } entries scaled to a total of 1
+function normalizeTable(entries) {
+  const table = entries.map((entry) =>
+    typeof entry === "string"
+      ? { result: entry, weight: 1 }
+      : { result: entry.result, weight: entry.weight ?? 1 }
+  );
+  const total = table.reduce((sum, e) => sum + e.weight, 0);
+  return table.map((e) => ({ result: e.result, weight: e.weight / total }));
+}
+
+/**
+ * Forecast for one day
+ * @param {string} condition - The day's true condition
+ * @param {object} seasonData - Region's season table for the day
+ * @param {Date} date - In-game date forecast
+ * @param {string} regionId - Region ID
+ * @param {number} ahead - Days ahead of the first forecast day
+ * @param {object} setting - Region's "forecastAccuracy"
+ * @param {string|number} [campaignSeed] - Campaign seed (see random.js)
+ * @returns {object} { mode, accuracy, condition, spread: [{ condition, chance }] }
+ */
+function getForecast(
+  condition,
+  seasonData,
+  date,
+  regionId,
+  ahead,
+  setting,
+  campaignSeed
+) {
+  const mode = setting.mode || "likely";
+  const accuracy = getForecastAccuracy(setting, ahead);
+  const day = Math.floor(date.getTime() / MS_PER_DAY);
+  const rng = seededRandom(
+    day * 104729 +
+      hashRegion(withCampaignSeed(`${regionId}:forecast`, campaignSeed))
+  );
+
+  // A wrong guess is another condition the season could bring
+  const table = normalizeTable(seasonData.conditions);
+  const alternatives = table.filter((e) => e.result !== condition);
+  let likely = condition;
+  if (rng() >= accuracy && alternatives.length > 0) {
+    let roll = rng() * alternatives.reduce((sum, e) => sum + e.weight, 0);
+    likely = alternatives[alternatives.length - 1].result;
+    for (const e of alternatives) {
+      if (roll < e.weight) {
+        likely = e.result;
+        break;
+      }
+      roll -= e.weight;
+    }
+  }
+
+  // Chances: the guess gets the accuracy, the season's odds share the rest
+  const chances = new Map([[likely, accuracy]]);
+  for (const e of table) {
+    chances.set(
+      e.result,
+      (chances.get(e.result) || 0) + (1 - accuracy) * e.weight
+    );
+  }
+  const spread = [...chances]
+    .map(([result, chance]) => ({
+      condition: result,
+      chance: Math.round(chance * 10) / 10,
+    }))
+    .filter((entry) => entry.chance > 0)
+    .sort((a, b) => b.chance - a.chance)
+    .slice(0, 3);
+
+  return { mode, accuracy, condition: likely, spread };
+}
+
+module.exports = {
+  FORECAST_MODES,
+  validateForecastAccuracy,
+  getForecastAccuracy,
+  getForecast,
+};
@@ -0,0 +1,193 @@
+const {
+  seededRandom,
+  hashRegion,
+  withCampaignSeed,
+} = require("../utils/random");
+const { weatherRules } = require("../config/weatherRules");
+
+/**
+ * Front Service
+ * Weather fronts that spread between neighbouring regions. Regions list their
+ * neighbours in regions.json ("neighbors", treated as two-way), and the
+ * top-level "fronts" section names the conditions that travel:
+ *
+ * "fronts": {
+ *   "Storm": { "label": "Storm", "chance": 0.5, "days": 2 },
+ *   "Fog": { "label": "Fog bank", "chance": 0.3, "days": 1 }
+ * }
+ *
+ * When a neighbour had a front condition in the last `days` days, each time a
+ * region's weather rolls it picks that condition up with `chance`. Sources are
+ * the neighbour's own weather before fronts, so fronts never chain back in
+ * time and every result is deterministic per date.
+ */
+
+const DEFAULT_FRONT_DAYS = 2;
+
+/**
+ * Validate the fronts section and region neighbour lists
+ * @param {object|undefined} fronts - "fronts" section (condition -> definition)
+ * @param {object} regions - "regions" section
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateFrontDefinitions(fronts, regions = {}) {
+  const errors = [];
+
+  if (fronts !== undefined) {
+    if (!fronts || typeof fronts !== "object" || Array.isArray(fronts)) {
+      return ["Fronts must be an object mapping weather types to settings"];
+    }
+    for (const [condition, front] of Object.entries(fronts)) {
+      if (!weatherRules.typeSet.has(condition)) {
+        errors.push(`Front for unknown weather type '${condition}'`);
+      }
+      if (
+        !front ||
+        !(
+          typeof front.chance === "number" &&
+          front.chance >= 0 &&
+          front.chance <= 1
+        )
+      ) {
+        errors.push(`Front '${condition}' chance must be between 0 and 1`);
+      }
+      if (
+        front &&
+        front.days !== undefined &&
+        !(Number.isInteger(front.days) && front.days >= 1)
+      ) {
+        errors.push(`Front '${condition}' days must be a positive integer`);
+      }
+    }
+  }
+
+  for (const [regionId, region] of Object.entries(regions)) {
+    if (!region || region.neighbors === undefined) continue;
+    if (!Array.isArray(region.neighbors)) {
+      errors.push(
+        `Region '${regionId}' neighbors must be an array of region IDs`
+      );
+      continue;
+    }
+    for (const neighborId of region.neighbors) {
+      if (!regions[neighborId]) {
+        errors.push(
+          `Region '${regionId}' lists unknown neighbor '${neighborId}'`
+        );
+      } else if (neighborId === regionId) {
+        errors.push(`Region '${regionId}' lists itself as a neighbor`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Create the front system from regions.json
+ * @param {object|undefined} fronts - "fronts" section (no fronts if undefined)
+ * @param {object} regions - "regions" section, for neighbours and their weather
+ * @returns {object} Front system with getNeighbors, getFront, rollArrival
+ */
+function createFronts(fronts, regions = {}) {
+  const errors = validateFrontDefinitions(fronts, regions);
+  if (errors.length > 0) {
+    throw new Error(`Invalid fronts: ${errors.join("; ")}`);
+  }
+
+  const definitions = fronts || {};
+
+  // Two-way adjacency, in the order neighbours are listed
+  const adjacency = new Map();
+  const link = (a, b) => {
+    if (!adjacency.has(a)) adjacency.set(a, []);
+    if (!adjacency.get(a).includes(b)) adjacency.get(a).push(b);
+  };
+  if (Object.keys(definitions).length > 0) {
+    for (const [regionId, region] of Object.entries(regions)) {
+      for (const neighborId of (region && region.neighbors) || []) {
+        link(regionId, neighborId);
+        link(neighborId, regionId);
+      }
+    }
+  }
+
+  // Region IDs from Google Sheets may carry a " Region" suffix
+  const resolveId = (regionId) =>
+    !adjacency.has(regionId) && regionId.endsWith(" Region")
+      ? regionId.slice(0, -7)
+      : regionId;
+
+  return {
+    fronts: definitions,
+
+    // Longest a front lingers in a neighbour's reach, in days
+    maxDays: Math.max(
+      0,
+      ...Object.values(definitions).map(
+        (front) => front.days || DEFAULT_FRONT_DAYS
+      )
+    ),
+
+    /**
+     * Neighbouring regions with the weather config needed to replay them
+     * @param {string} regionId - Region ID
+     * @returns {Array<object>} { id, name, seasonalWeather, weatherModel, seasonBlendDays, yearlyVariation }
+     */
+    getNeighbors(regionId) {
+      return (adjacency.get(resolveId(regionId)) || [])
+        .filter((id) => regions[id] && regions[id].seasonalWeather)
+        .map((id) => ({
+          id,
+          name: regions[id].name || id,
+          seasonalWeather: regions[id].seasonalWeather,
+          weatherModel: regions[id].weatherModel || "epoch",
+          seasonBlendDays: regions[id].seasonBlendDays || 0,
+          yearlyVariation: regions[id].yearlyVariation || null,
+        }));
+    },
+
+    /**
+     * Front settings for a condition, or null if it does not travel
+     * @param {string} condition - Weather condition
+     * @returns {object|null} { condition, label, chance, days }
+     */
+    getFront(condition) {
+      const front = definitions[condition];
+      if (!front) return null;
+      return {
+        condition,
+        label: front.label || condition,
+        chance: front.chance,
+        days: front.days || DEFAULT_FRONT_DAYS,
+      };
+    },
+
+    /**
+     * Roll whether a front from a neighbour reaches a region on a day
+     * @param {number} day - Day number the region's weather rolls on
+     * @param {string} regionId - Region receiving the front
+     * @param {string} neighborId - Region the front comes from
+     * @param {object} front - Front from getFront
+     * @param {string|number} [campaignSeed] - Campaign seed (see random.js)
+     * @returns {boolean} True if the front arrives
+     */
+    rollArrival(day, regionId, neighborId, front, campaignSeed) {
+      const rng = seededRandom(
+        day * 31337 +
+          hashRegion(
+            withCampaignSeed(`${regionId}<${neighborId}`, campaignSeed)
+          )
+      );
+      return rng() < front.chance;
+    },
+  };
+}
+
+const NO_FRONTS = createFronts(undefined);
+
+module.exports = {
+  NO_FRONTS,
+  createFronts,
+  validateFrontDefinitions,
+};
@@ -492,9 +492,154 @@ async function updateWeatherTable(
   }
 }
 
+/**
+ * Fetch GM weather overrides from the optional "Weather Overrides" tab
+ * Columns (found by header): Region, Start Date, End Date, Weather, Note.
+ * Dates are YYYY-MM-DD; End Date may be left empty for a single day.
+ * @param {string} spreadsheetId - The Google Spreadsheet ID
+ * @param {string} base64Key - Base64-encoded service account key
+ * @returns {Array<object>} Overrides (empty if the tab does not exist)
+ */
+async function fetchWeatherOverrides(spreadsheetId, base64Key) {
+  const sheets = await initializeClient(base64Key);
+
+  let rows;
+  try {
+    const response = await sheets.spreadsheets.values.get({
+      spreadsheetId,
+      range: "Weather Overrides",
+    });
+    rows = response.data.values || [];
+  } catch (error) {
+    logger.info(`No Weather Overrides tab found: ${error.message}`);
+    return [];
+  }
+
+  if (rows.length === 0) return [];
+
+  const headerRow = rows[0];
+  const regionCol = findColumnIndex(headerRow, "Region");
+  const startCol = findColumnIndex(headerRow, "Start Date");
+  const endCol = findColumnIndex(headerRow, "End Date");
+  const weatherCol = findColumnIndex(headerRow, "Weather");
+  const noteCol = findColumnIndex(headerRow, "Note");
+
+  if (regionCol === -1 || startCol === -1 || weatherCol === -1) {
+    logger.warn(
+      "Weather Overrides tab needs Region, Start Date and Weather columns"
+    );
+    return [];
+  }
+
+  const cell = (row, col) =>
+    col === -1 ? "" : (row[col] || "").toString().trim();
+
+  const overrides = [];
+  for (let i = 1; i < rows.length; i++) {
+    const row = rows[i];
+    const region = cell(row, regionCol);
+    if (!region) continue;
+
+    overrides.push({
+      id: `sheet:${i + 1}`,
+      region,
+      startDate: cell(row, startCol),
+      endDate: cell(row, endCol) || cell(row, startCol),
+      weather: cell(row, weatherCol),
+      note: cell(row, noteCol),
+      source: "sheet",
+    });
+  }
+
+  logger.info(
+    `Loaded ${overrides.length} weather overrides from Google Sheets`
+  );
+  return overrides;
+}
+
+/**
+ * Fetch each commander's army orders for the day from Commander Database
+ * Uses the Name, Current Continent and Region columns, and the optional
+ * Action (Rest, Day, Night or Forced March), Miles and Travel columns.
+ * @param {string} spreadsheetId - The Google Spreadsheet ID
+ * @param {string} base64Key - Base64-encoded service account key
+ * @returns {Array<object>} [{ army, region, action, milesPerDay, travel }]
+ */
+async function fetchArmyOrders(spreadsheetId, base64Key) {
+  const sheets = await initializeClient(base64Key);
+
+  logger.info("Fetching army orders from Commander Database");
+  const response = await sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: "Commander Database",
+  });
+
+  const rows = response.data.values || [];
+  if (rows.length < 2) {
+    throw new Error("Commander Database sheet is empty or has no data rows");
+  }
+
+  const headerRow = rows[0];
+  const cols = {
+    name: findColumnIndex(headerRow, "Name"),
+    continent: findColumnIndex(headerRow, "Current Continent"),
+    region: findColumnIndex(headerRow, "Region"),
+    action: findColumnIndex(headerRow, "Action"),
+    miles: findColumnIndex(headerRow, "Miles"),
+    travel: findColumnIndex(headerRow, "Travel"),
+  };
+
+  const missingCols = ["name", "continent", "region"].filter(
+    (col) => cols[col] === -1
+  );
+  if (missingCols.length > 0) {
+    throw new Error(
+      `Commander Database missing required columns: ${missingCols.join(", ")}`
+    );
+  }
+
+  const cell = (row, col) =>
+    col === -1 ? "" : (row[col] || "").toString().trim();
+
+  const orders = [];
+  for (const row of rows.slice(1)) {
+    const name = cell(row, cols.name);
+    if (!name) continue;
+
+    const regionId = buildRegionId(
+      cell(row, cols.continent),
+      cell(row, cols.region)
+    );
+    if (!regionId) {
+      logger.warn(
+        `Skipping commander "${name}": missing Current Continent or Region`
+      );
+      continue;
+    }
+
+    // "Forced March" -> "forced"; an empty Action means the army rests
+    const action = cell(row, cols.action)
+      .toLowerCase()
+      .replace(/\s*march(ing)?$/, "");
+    const miles = cell(row, cols.miles);
+    orders.push({
+      army: name,
+      region: regionId,
+      action: action || "rest",
+      milesPerDay: miles === "" ? undefined : Number(miles),
+      travel: cell(row, cols.travel).toLowerCase() || undefined,
+    });
+  }
+
+  logger.info(`Loaded orders for ${orders.length} armies`);
+  return orders;
+}
+
 module.exports = {
   initializeClient,
   fetchWebhookConfig,
+  fetchWeatherOverrides,
+  fetchArmyOrders,
   updateWeatherTable,
   findColumnIndex,
   columnToLetter,
@@ -0,0 +1,238 @@
+/**
+ * Impact Service
+ * Turns a day's impactData into the mechanical impacts posted with the
+ * weather, from the "impactRules" list in the weather rules file. Each rule
+ * tests impactData fields and, when every test passes, adds one impact:
+ *
+ * { "id": "road-speed", "category": "travel",
+ *   "when": { "roadMult": { "lt": 1 } },
+ *   "text": "Road travel at {roadMult:percent} speed",
+ *   "effects": { "roadMult": "{roadMult}" } }
+ *
+ * - when: field -> value (equal to) or { eq, ne, lt, lte, gt, gte, in, truthy }
+ * - text: template; {field} inserts a value, {field:percent} a 0-1 number as a percentage
+ * - effects: optional machine-readable values; "{field}" alone inserts the raw value
+ *
+ * Rules apply in order, so the list reads top to bottom like the posted impacts.
+ */
+
+const OPERATORS = {
+  eq: (value, expected) => value === expected,
+  ne: (value, expected) => value !== expected,
+  lt: (value, expected) => typeof value === "number" && value < expected,
+  lte: (value, expected) => typeof value === "number" && value <= expected,
+  gt: (value, expected) => typeof value === "number" && value > expected,
+  gte: (value, expected) => typeof value === "number" && value >= expected,
+  in: (value, expected) => expected.includes(value),
+  truthy: (value, expected) => !!value === expected,
+};
+
+const IMPACT_TYPES = ["None", "Bad", "Very Bad"];
+const MULTIPLIER_FIELDS = ["roadMult", "offRoadMult"];
+const FLAG_FIELDS = [
+  "canForcedMarch",
+  "canNightMarch",
+  "zeroVisibility",
+  "canFordRivers",
+];
+
+const TEMPLATE_FIELD = /\{(\w+)(?::(\w+))?\}/g;
+const TEMPLATE_FORMATS = ["percent"];
+
+// A field test: a plain value means "equal to"
+function isOperatorTest(test) {
+  return test !== null && typeof test === "object" && !Array.isArray(test);
+}
+
+/**
+ * Validate the values of a set of impact fields (a weather type's impacts,
+ * or those a phenomenon or terrain sets)
+ * @param {object} impacts - Impact field -> value
+ * @param {string} label - Prefix for error messages
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateImpactValues(impacts, label) {
+  const errors = [];
+
+  for (const field of MULTIPLIER_FIELDS) {
+    if (
+      impacts[field] !== undefined &&
+      !(
+        typeof impacts[field] === "number" &&
+        impacts[field] >= 0 &&
+        impacts[field] <= 1
+      )
+    ) {
+      errors.push(
+        `${label} impact '${field}' must be a number between 0 and 1`
+      );
+    }
+  }
+
+  for (const field of FLAG_FIELDS) {
+    if (impacts[field] !== undefined && typeof impacts[field] !== "boolean") {
+      errors.push(`${label} impact '${field}' must be true or false`);
+    }
+  }
+
+  if (impacts.type !== undefined && !IMPACT_TYPES.includes(impacts.type)) {
+    errors.push(
+      `${label} impact 'type' must be one of: ${IMPACT_TYPES.join(", ")}`
+    );
+  }
+  if (impacts.special !== undefined && typeof impacts.special !== "string") {
+    errors.push(`${label} impact 'special' must be text`);
+  }
+  return errors;
+}
+
+/**
+ * Validate an impact rules list
+ * @param {Array} rules - Impact rule definitions
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateImpactRules(rules) {
+  if (!Array.isArray(rules)) {
+    return ["Impact rules must be an array"];
+  }
+
+  const errors = [];
+  rules.forEach((rule, index) => {
+    const label = `Impact rule ${rule && rule.id ? `'${rule.id}'` : index + 1}`;
+    if (!rule || typeof rule.text !== "string" || rule.text === "") {
+      errors.push(`${label} must have a 'text' template`);
+      return;
+    }
+
+    if (rule.when !== undefined) {
+      if (!isOperatorTest(rule.when)) {
+        errors.push(`${label} 'when' must be an object of field tests`);
+      } else {
+        for (const [field, test] of Object.entries(rule.when)) {
+          if (!isOperatorTest(test)) continue;
+          for (const [operator, expected] of Object.entries(test)) {
+            if (!OPERATORS[operator]) {
+              errors.push(
+                `${label} uses unknown operator '${operator}' on '${field}' (expected one of: ${Object.keys(
+                  OPERATORS
+                ).join(", ")})`
+              );
+            } else if (operator === "in" && !Array.isArray(expected)) {
+              errors.push(`${label} 'in' on '${field}' must be an array`);
+            } else if (operator === "truthy" && typeof expected !== "boolean") {
+              errors.push(
+                `${label} 'truthy' on '${field}' must be true or false`
+              );
+            }
+          }
+        }
+      }
+    }
+
+    for (const [, , format] of rule.text.matchAll(TEMPLATE_FIELD)) {
+      if (format && !TEMPLATE_FORMATS.includes(format)) {
+        errors.push(`${label} text uses unknown format '${format}'`);
+      }
+    }
+
+    if (
+      rule.effects !== undefined &&
+      (!rule.effects ||
+        typeof rule.effects !== "object" ||
+        Array.isArray(rule.effects))
+    ) {
+      errors.push(`${label} 'effects' must be an object`);
+    }
+  });
+
+  return errors;
+}
+
+// Does impactData pass every test in a rule's "when"?
+function matchesRule(rule, impactData) {
+  return Object.entries(rule.when || {}).every(([field, test]) => {
+    const value = impactData[field];
+    if (!isOperatorTest(test)) return value === test;
+    return Object.entries(test).every(([operator, expected]) =>
+      OPERATORS[operator](value, expected)
+    );
+  });
+}
+
+function renderTemplate(template, impactData) {
+  return template.replace(TEMPLATE_FIELD, (_, field, format) => {
+    const value = impactData[field];
+    if (value === undefined || value === null) return "";
+    if (format === "percent") return `${Math.round(value * 100)}%`;
+    return String(value);
+  });
+}
+
+// Effects with "{field}" values replaced by the raw impactData value
+function renderEffects(effects, impactData) {
+  const rendered = {};
+  for (const [key, value] of Object.entries(effects || {})) {
+    const reference = typeof value === "string" && /^\{(\w+)\}$/.exec(value);
+    rendered[key] = reference ? impactData[reference[1]] : value;
+  }
+  return rendered;
+}
+
+/**
+ * Create the impact rules engine
+ * @param {Array} definitions - Impact rule definitions
+ * @returns {object} { rules, getImpacts, formatImpacts }
+ * @throws {Error} If the rules are invalid
+ */
+function createImpactRules(definitions) {
+  const errors = validateImpactRules(definitions);
+  if (errors.length > 0) {
+    throw new Error(`Invalid impact rules: ${errors.join("; ")}`);
+  }
+
+  const rules = definitions.map((rule, index) => ({
+    id: rule.id || `rule-${index + 1}`,
+    category: rule.category || "other",
+    when: rule.when || {},
+    text: rule.text,
+    effects: rule.effects || {},
+  }));
+
+  const getImpacts = (impactData) => {
+    if (!impactData) return [];
+    return rules
+      .filter((rule) => matchesRule(rule, impactData))
+      .map((rule) => ({
+        id: rule.id,
+        category: rule.category,
+        text: renderTemplate(rule.text, impactData),
+        effects: renderEffects(rule.effects, impactData),
+      }));
+  };
+
+  return {
+    rules,
+
+    /**
+     * Impacts that apply to a day, as objects
+     * @param {object} impactData - The day's impact fields
+     * @returns {Array<object>} [{ id, category, text, effects }]
+     */
+    getImpacts,
+
+    /**
+     * Impacts that apply to a day, as text lines
+     * @param {object} impactData - The day's impact fields
+     * @returns {Array<string>} Impact texts
+     */
+    formatImpacts: (impactData) =>
+      getImpacts(impactData).map((impact) => impact.text),
+  };
+}
+
+module.exports = {
+  IMPACT_TYPES,
+  validateImpactValues,
+  validateImpactRules,
+  createImpactRules,
+};
@@ -0,0 +1,211 @@
+const { getRegionalWeatherForRange } = require("./weatherService");
+const { parseDayNumber } = require("./calendarService");
+const { getMoraleEffects } = require("./moraleService");
+const { weatherRules } = require("../config/weatherRules");
+const { capitalize } = require("../utils/messageFormatter");
+
+/**
+ * March Service
+ * Plans a multi-day march through regions against their weather: how far an
+ * army gets each day, which actions the weather blocks and which morale
+ * checks it calls for.
+ *
+ * A route is a list of legs, each some days in one region:
+ *
+ * { startDate: "2026-11-12", legs: [
+ *   { regionConfig, days: 2, milesPerDay: 12, travel: "road", march: "day" },
+ *   { regionConfig, days: 1, travel: "off-road", march: "forced" } ] }
+ *
+ * - travel: "road" uses roadMult, "off-road" offRoadMult
+ * - march: "day", "night" (ruled by the night condition) or "forced"
+ *
+ * A forced march goes forcedMarchMult times as far as a day march: the
+ * route's, or the weather rules' "forcedMarchMult" (1.5 in the built-in
+ * rules). A forced march the weather forbids falls back to a day march; a
+ * night march it forbids, or travel at 0%, means no progress that day. Either
+ * way the day gets a downgrade note.
+ * Morale changes and checks are the weather's and events' morale effects
+ * (see moraleService); a day without progress counts as rest.
+ */
+
+const MS_PER_DAY = 86400000;
+const TRAVEL_TYPES = ["road", "off-road"];
+const MARCH_TYPES = ["day", "night", "forced"];
+const DEFAULT_MILES_PER_DAY = 12;
+
+/**
+ * Validate a route
+ * @param {object} route - { startDate, legs, forcedMarchMult? }
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateRoute(route) {
+  const errors = [];
+  if (!route || parseDayNumber(route.startDate) === null) {
+    errors.push("Route startDate must be in YYYY-MM-DD format");
+  }
+  if (!route || !Array.isArray(route.legs) || route.legs.length === 0) {
+    errors.push("Route must have at least one leg");
+    return errors;
+  }
+  if (
+    route.forcedMarchMult !== undefined &&
+    !(typeof route.forcedMarchMult === "number" && route.forcedMarchMult >= 1)
+  ) {
+    errors.push("Route forcedMarchMult must be a number of 1 or more");
+  }
+
+  route.legs.forEach((leg, index) => {
+    const label = `Leg ${index + 1}`;
+    if (!leg.regionConfig || !leg.regionConfig.seasonalWeather) {
+      errors.push(`${label} needs a region with weather`);
+    }
+    if (!(Number.isInteger(leg.days) && leg.days >= 1)) {
+      errors.push(`${label} days must be a whole number of 1 or more`);
+    }
+    if (
+      leg.milesPerDay !== undefined &&
+      !(typeof leg.milesPerDay === "number" && leg.milesPerDay >= 0)
+    ) {
+      errors.push(`${label} milesPerDay must be a number of 0 or more`);
+    }
+    if (leg.travel !== undefined && !TRAVEL_TYPES.includes(leg.travel)) {
+      errors.push(`${label} travel must be one of: ${TRAVEL_TYPES.join(", ")}`);
+    }
+    if (leg.march !== undefined && !MARCH_TYPES.includes(leg.march)) {
+      errors.push(`${label} march must be one of: ${MARCH_TYPES.join(", ")}`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * A day the army makes no progress
+ * @param {object} weather - Day from getWeatherForDate
+ * @param {Array<string>} [blocked] - Why the army could not march
+ * @param {string} [ordered] - March ordered, if the weather stopped it
+ * @returns {object} { march: "rest", miles: 0, blocked, downgrade, morale }
+ */
+function restDay(weather, blocked = [], ordered = null) {
+  return {
+    march: "rest",
+    miles: 0,
+    blocked,
+    downgrade: ordered
+      ? `${capitalize(ordered)} march downgraded to rest`
+      : null,
+    morale: getMoraleEffects(weather, "rest", 0, weatherRules.morale),
+  };
+}
+
+/**
+ * One day of a march
+ * @param {object} weather - Day from getWeatherForDate
+ * @param {object} leg - Route leg
+ * @param {number} [forcedMarchMult] - Distance multiplier for a forced march
+ *   (default: the weather rules' forcedMarchMult)
+ * @returns {object} { march, miles, blocked, downgrade, morale: [{ source, change, check, text }] }
+ */
+function planMarchDay(
+  weather,
+  leg,
+  forcedMarchMult = weatherRules.forcedMarchMult
+) {
+  const travel = leg.travel || "road";
+  const milesPerDay = leg.milesPerDay ?? DEFAULT_MILES_PER_DAY;
+  const multField = travel === "road" ? "roadMult" : "offRoadMult";
+  const blocked = [];
+  const ordered = leg.march || "day";
+  let march = ordered;
+
+  if (march === "forced" && !weather.impactData.canForcedMarch) {
+    blocked.push(`Forced marching not possible (${weather.condition})`);
+    march = "day";
+  }
+  if (march === "night" && !weather.impactData.canNightMarch) {
+    blocked.push(`Night marching not possible (${weather.nightCondition})`);
+    return restDay(weather, blocked, ordered);
+  }
+
+  // A night march moves under the night's conditions
+  const impactData =
+    march === "night" && weather.nightImpactData
+      ? weather.nightImpactData
+      : weather.impactData;
+  const mult = impactData[multField];
+  if (mult === 0) {
+    blocked.push(
+      `${travel === "road" ? "Road" : "Off-road"} travel impossible (${
+        march === "night" ? weather.nightCondition : weather.condition
+      })`
+    );
+    return restDay(weather, blocked, ordered);
+  }
+
+  const miles =
+    Math.round(
+      milesPerDay * mult * (march === "forced" ? forcedMarchMult : 1) * 10
+    ) / 10;
+  return {
+    march,
+    miles,
+    blocked,
+    downgrade:
+      march === ordered
+        ? null
+        : `${capitalize(ordered)} march downgraded to ${march} march`,
+    morale: getMoraleEffects(weather, march, miles, weatherRules.morale),
+  };
+}
+
+/**
+ * Plan a march along a route
+ * @param {object} route - { startDate, legs, forcedMarchMult? }, see above
+ * @returns {object} { days: [{ day, date, calendarDate, region, condition, nightCondition, travel, march, miles, blocked, downgrade, morale }], totalMiles }
+ * @throws {Error} If the route is invalid
+ */
+function planMarch(route) {
+  const errors = validateRoute(route);
+  if (errors.length > 0) {
+    throw new Error(`Invalid route: ${errors.join("; ")}`);
+  }
+
+  const forcedMarchMult = route.forcedMarchMult ?? weatherRules.forcedMarchMult;
+  const days = [];
+  let day = parseDayNumber(route.startDate);
+
+  for (const leg of route.legs) {
+    const weatherDays = getRegionalWeatherForRange(
+      leg.regionConfig,
+      new Date(day * MS_PER_DAY),
+      new Date((day + leg.days - 1) * MS_PER_DAY)
+    );
+    for (const weather of weatherDays) {
+      const planned = planMarchDay(weather, leg, forcedMarchMult);
+      days.push({
+        day: days.length + 1,
+        date: new Date(day * MS_PER_DAY).toISOString().slice(0, 10),
+        calendarDate: weather.date,
+        region: leg.regionConfig.name || leg.regionConfig.id,
+        condition: weather.condition,
+        nightCondition: weather.nightCondition,
+        travel: leg.travel || "road",
+        ...planned,
+      });
+      day++;
+    }
+  }
+
+  const totalMiles =
+    Math.round(days.reduce((sum, d) => sum + d.miles, 0) * 10) / 10;
+  return { days, totalMiles };
+}
+
+module.exports = {
+  TRAVEL_TYPES,
+  MARCH_TYPES,
+  DEFAULT_MILES_PER_DAY,
+  validateRoute,
+  restDay,
+  planMarchDay,
+  planMarch,
+};
@@ -0,0 +1,151 @@
+const { getRegionalWeatherForRange } = require("./weatherService");
+const { parseDayNumber } = require("./calendarService");
+const { ARMY_ACTIONS } = require("./moraleService");
+const { TRAVEL_TYPES, restDay, planMarchDay } = require("./marchService");
+const { weatherRules } = require("../config/weatherRules");
+
+/**
+ * Morale Ledger
+ * Totals the weather's morale effects per army from each army's orders: one
+ * order per army and day, with the region it is in and what it does.
+ *
+ * [{ army: "Army of the North", date: "2026-07-01", regionConfig,
+ *    action: "day", milesPerDay: 12, travel: "road" }]
+ *
+ * - action: "rest", "day", "night" or "forced" (see moraleService)
+ * - milesPerDay / travel: as in a march route (see marchService)
+ * - error: why the order could not be resolved (e.g. an unknown region); it is
+ *   listed under the army instead of a day, like an order whose weather fails
+ *
+ * Marches go through the march planner, so a march the weather forbids falls
+ * back the same way and its morale effects follow what the army really did.
+ */
+
+const MS_PER_DAY = 86400000;
+
+/**
+ * Validate a list of army orders
+ * @param {Array} orders - Army orders, see above
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateOrders(orders) {
+  if (!Array.isArray(orders) || orders.length === 0) {
+    return ["Orders must be a non-empty array"];
+  }
+
+  const errors = [];
+  orders.forEach((order, index) => {
+    const label = `Order ${index + 1}${
+      order && order.army ? ` (${order.army})` : ""
+    }`;
+    if (!order || typeof order.army !== "string" || order.army === "") {
+      errors.push(`${label} missing required field: army`);
+      return;
+    }
+    if (parseDayNumber(order.date) === null) {
+      errors.push(`${label} date must be in YYYY-MM-DD format`);
+    }
+    if (
+      order.error === undefined &&
+      (!order.regionConfig || !order.regionConfig.seasonalWeather)
+    ) {
+      errors.push(`${label} needs a region with weather`);
+    }
+    if (!ARMY_ACTIONS.includes(order.action)) {
+      errors.push(`${label} action must be one of: ${ARMY_ACTIONS.join(", ")}`);
+    }
+    if (
+      order.milesPerDay !== undefined &&
+      !(typeof order.milesPerDay === "number" && order.milesPerDay >= 0)
+    ) {
+      errors.push(`${label} milesPerDay must be a number of 0 or more`);
+    }
+    if (order.travel !== undefined && !TRAVEL_TYPES.includes(order.travel)) {
+      errors.push(`${label} travel must be one of: ${TRAVEL_TYPES.join(", ")}`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Build the morale ledger for a set of army orders
+ * @param {Array} orders - Army orders, see above
+ * @param {object} [options] - { forcedMarchMult } (default: the weather
+ *   rules' forcedMarchMult)
+ * @returns {object} { armies: [{ army, days: [{ date, region, condition, nightCondition, action, march, miles, blocked, downgrade, morale, change, checks }], errors, change, checks }] }
+ * @throws {Error} If the orders are invalid
+ */
+function buildMoraleLedger(orders, options = {}) {
+  const errors = validateOrders(orders);
+  if (errors.length > 0) {
+    throw new Error(`Invalid orders: ${errors.join("; ")}`);
+  }
+
+  const forcedMarchMult =
+    options.forcedMarchMult ?? weatherRules.forcedMarchMult;
+  const armies = new Map();
+
+  for (const order of orders) {
+    if (!armies.has(order.army)) {
+      armies.set(order.army, { days: [], errors: [] });
+    }
+    const { days, errors: armyErrors } = armies.get(order.army);
+    if (order.error !== undefined) {
+      armyErrors.push(`${order.date}: ${order.error}`);
+      continue;
+    }
+
+    // One order failing is reported under its army; the rest still count
+    try {
+      const date = new Date(parseDayNumber(order.date) * MS_PER_DAY);
+      const [weather] = getRegionalWeatherForRange(
+        order.regionConfig,
+        date,
+        date
+      );
+      const planned =
+        order.action === "rest"
+          ? restDay(weather)
+          : planMarchDay(
+              weather,
+              {
+                march: order.action,
+                milesPerDay: order.milesPerDay,
+                travel: order.travel,
+              },
+              forcedMarchMult
+            );
+
+      days.push({
+        date: order.date,
+        region: order.regionConfig.name || order.regionConfig.id,
+        condition: weather.condition,
+        nightCondition: weather.nightCondition,
+        action: order.action,
+        ...planned,
+        change: planned.morale.reduce((sum, effect) => sum + effect.change, 0),
+        checks: planned.morale.filter((effect) => effect.check).length,
+      });
+    } catch (error) {
+      armyErrors.push(`${order.date}: ${error.message}`);
+    }
+  }
+
+  return {
+    armies: [...armies].map(([army, { days, errors: armyErrors }]) => {
+      days.sort((a, b) => a.date.localeCompare(b.date));
+      return {
+        army,
+        days,
+        errors: armyErrors,
+        change: days.reduce((sum, day) => sum + day.change, 0),
+        checks: days.reduce((sum, day) => sum + day.checks, 0),
+      };
+    }),
+  };
+}
+
+module.exports = {
+  validateOrders,
+  buildMoraleLedger,
+};
@@ -0,0 +1,148 @@
+/**
+ * Morale Service
+ * Structured morale effects of the weather and special events. The weather
+ * rules file's "morale" section lists effects per condition, and an event in
+ * regions.json may list its own under "morale":
+ *
+ * "morale": {
+ *   "Heatwave": [{ "actions": ["day", "forced"], "change": -1,
+ *                  "text": "Day Marching gives -1 Morale" }],
+ *   "Hot": [{ "actions": ["day", "forced"], "moreThanMiles": 6, "check": true,
+ *             "text": "Day Marching more than 6 miles requires morale check" }]
+ * }
+ *
+ * - actions: army actions it applies to ("rest", "day", "night", "forced");
+ *   every action when left out
+ * - moreThanMiles: applies only when the army marched further that day
+ * - change: morale gained (positive) or lost (negative)
+ * - check: a morale check is required
+ * - text: how the effect reads in summaries
+ *
+ * A night march takes the effects of the night's condition.
+ */
+
+const ARMY_ACTIONS = ["rest", "day", "night", "forced"];
+
+/**
+ * Validate a list of morale effects
+ * @param {Array} effects - Morale effect definitions
+ * @param {string} label - Prefix for error messages
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateMoraleEffects(effects, label) {
+  if (!Array.isArray(effects)) {
+    return [`${label} must be an array of morale effects`];
+  }
+
+  const errors = [];
+  effects.forEach((effect, index) => {
+    const effectLabel = `${label} effect ${index + 1}`;
+    if (!effect || typeof effect !== "object") {
+      errors.push(`${effectLabel} must be an object`);
+      return;
+    }
+    if (effect.change === undefined && !effect.check) {
+      errors.push(`${effectLabel} must have a 'change' or 'check'`);
+    }
+    if (effect.change !== undefined && !Number.isInteger(effect.change)) {
+      errors.push(`${effectLabel} 'change' must be a whole number`);
+    }
+    if (effect.check !== undefined && typeof effect.check !== "boolean") {
+      errors.push(`${effectLabel} 'check' must be true or false`);
+    }
+    if (
+      effect.actions !== undefined &&
+      !(
+        Array.isArray(effect.actions) &&
+        effect.actions.every((action) => ARMY_ACTIONS.includes(action))
+      )
+    ) {
+      errors.push(
+        `${effectLabel} 'actions' must list some of: ${ARMY_ACTIONS.join(", ")}`
+      );
+    }
+    if (
+      effect.moreThanMiles !== undefined &&
+      !(typeof effect.moreThanMiles === "number" && effect.moreThanMiles >= 0)
+    ) {
+      errors.push(`${effectLabel} 'moreThanMiles' must be 0 or more`);
+    }
+    if (effect.text !== undefined && typeof effect.text !== "string") {
+      errors.push(`${effectLabel} 'text' must be text`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Validate the weather rules' "morale" section
+ * @param {object} morale - Condition -> morale effects
+ * @param {object} weatherTypes - Weather types from the rules definition
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateMoraleDefinitions(morale, weatherTypes) {
+  if (!morale || typeof morale !== "object" || Array.isArray(morale)) {
+    return ["Morale must be an object of condition -> morale effects"];
+  }
+
+  const errors = [];
+  for (const [condition, effects] of Object.entries(morale)) {
+    const label = `Morale for '${condition}'`;
+    if (!weatherTypes[condition]) {
+      errors.push(`${label} is not a known weather type`);
+    }
+    errors.push(...validateMoraleEffects(effects, label));
+  }
+  return errors;
+}
+
+// Text for an effect that leaves it out, e.g. "-1 Morale, morale check"
+function describeEffect(effect) {
+  const parts = [];
+  if (effect.change) {
+    parts.push(`${effect.change > 0 ? "+" : ""}${effect.change} Morale`);
+  }
+  if (effect.check) parts.push("morale check");
+  return parts.join(", ");
+}
+
+// Effects in a list that apply to an action and distance
+function selectEffects(effects, source, action, miles) {
+  return (effects || [])
+    .filter((effect) => !effect.actions || effect.actions.includes(action))
+    .filter(
+      (effect) =>
+        effect.moreThanMiles === undefined || miles > effect.moreThanMiles
+    )
+    .map((effect) => ({
+      source,
+      change: effect.change || 0,
+      check: !!effect.check,
+      text: effect.text || describeEffect(effect),
+    }));
+}
+
+/**
+ * Morale effects on an army for one day
+ * @param {object} weather - Day from getWeatherForDate
+ * @param {string} action - "rest", "day", "night" or "forced"
+ * @param {number} miles - Distance marched that day
+ * @param {object} morale - Condition -> morale effects (the rules' "morale")
+ * @returns {Array<object>} [{ source, change, check, text }], weather first
+ */
+function getMoraleEffects(weather, action, miles, morale) {
+  const condition =
+    action === "night" ? weather.nightCondition : weather.condition;
+  const effects = selectEffects(morale[condition], condition, action, miles);
+  for (const event of weather.events || []) {
+    effects.push(...selectEffects(event.morale, event.name, action, miles));
+  }
+  return effects;
+}
+
+module.exports = {
+  ARMY_ACTIONS,
+  validateMoraleEffects,
+  validateMoraleDefinitions,
+  getMoraleEffects,
+};
@@ -0,0 +1,197 @@
+const fs = require("fs");
+const { parseDayNumber } = require("./calendarService");
+const { weatherRules } = require("../config/weatherRules");
+
+/**
+ * Override Service
+ * GM weather overrides: "Storm in Eastern Marches from the 12th to the 14th".
+ * Overrides live in a local JSON file (managed with overrides.js) and,
+ * optionally, a "Weather Overrides" tab in the Google Sheet:
+ *
+ * [
+ *   { "id": 1, "region": "Eastern Marches", "startDate": "2026-11-12",
+ *     "endDate": "2026-11-14", "weather": "Storm", "note": "Siege of Tor" }
+ * ]
+ *
+ * A forced day takes the override's weather ahead of events and the region's
+ * weather model; weatherService then steers the region back to its own
+ * weather through legal transitions.
+ */
+
+const MS_PER_DAY = 86400000;
+
+/**
+ * Validate a list of overrides
+ * @param {Array} overrides - Override definitions
+ * @param {Set<string>} [weatherTypes] - Valid weather types
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateOverrideDefinitions(
+  overrides,
+  weatherTypes = weatherRules.typeSet
+) {
+  if (!Array.isArray(overrides)) {
+    return ["Overrides must be an array"];
+  }
+
+  const errors = [];
+  overrides.forEach((override, index) => {
+    const label =
+      override && override.id !== undefined ? `${override.id}` : `${index + 1}`;
+    if (!override || !override.region) {
+      errors.push(`Override ${label} missing required field: region`);
+      return;
+    }
+
+    const start = parseDayNumber(override.startDate);
+    const end = parseDayNumber(override.endDate || override.startDate);
+    if (start === null || end === null) {
+      errors.push(
+        `Override ${label} 'startDate' and 'endDate' must be in YYYY-MM-DD format`
+      );
+    } else if (end < start) {
+      errors.push(`Override ${label} 'endDate' is before 'startDate'`);
+    }
+
+    if (!weatherTypes.has(override.weather)) {
+      errors.push(
+        `Override ${label} forces unknown weather type '${override.weather}'`
+      );
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Create the override table
+ * Where overrides overlap, the one listed last wins
+ * @param {Array|undefined} definitions - Override definitions (none if undefined)
+ * @returns {object} Override table with getOverride
+ */
+function createOverrides(definitions) {
+  const overrides = definitions || [];
+
+  const errors = validateOverrideDefinitions(overrides);
+  if (errors.length > 0) {
+    throw new Error(`Invalid overrides: ${errors.join("; ")}`);
+  }
+
+  const scheduled = overrides.map((override) => ({
+    override,
+    startDay: parseDayNumber(override.startDate),
+    endDay: parseDayNumber(override.endDate || override.startDate),
+  }));
+
+  // Region IDs from Google Sheets may carry a " Region" suffix
+  const matchesRegion = (override, regionId) =>
+    override.region === regionId || `${override.region} Region` === regionId;
+
+  return {
+    overrides,
+
+    /**
+     * Override forcing a region's weather on a date
+     * @param {Date} date - In-game date
+     * @param {string} regionId - Region ID
+     * @returns {object|null} { id, region, weather, note, source } or null
+     */
+    getOverride(date, regionId) {
+      const day = Math.floor(date.getTime() / MS_PER_DAY);
+      for (let i = scheduled.length - 1; i >= 0; i--) {
+        const { override, startDay, endDay } = scheduled[i];
+        if (
+          day >= startDay &&
+          day <= endDay &&
+          matchesRegion(override, regionId)
+        ) {
+          return {
+            id: override.id ?? null,
+            region: override.region,
+            weather: override.weather,
+            note: override.note || "",
+            source: override.source || "file",
+          };
+        }
+      }
+      return null;
+    },
+  };
+}
+
+const NO_OVERRIDES = createOverrides(undefined);
+
+/**
+ * Read overrides from a local JSON file
+ * @param {string} filePath - Overrides file
+ * @returns {Array<object>} Overrides (empty if the file does not exist)
+ */
+function readOverridesFile(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+  const overrides = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  if (!Array.isArray(overrides)) {
+    throw new Error(`${filePath} must contain an array of overrides`);
+  }
+  return overrides;
+}
+
+/**
+ * Write overrides to a local JSON file
+ * @param {string} filePath - Overrides file
+ * @param {Array<object>} overrides - Overrides to save
+ */
+function writeOverridesFile(filePath, overrides) {
+  fs.writeFileSync(filePath, `${JSON.stringify(overrides, null, 2)}\n`);
+}
+
+/**
+ * Add an override to a list
+ * @param {Array<object>} overrides - Existing overrides
+ * @param {object} override - { region, startDate, endDate?, weather, note? }
+ * @returns {object} The added override, with its new id
+ * @throws {Error} If the override is invalid
+ */
+function addOverride(overrides, override) {
+  const added = {
+    id: Math.max(0, ...overrides.map((o) => o.id || 0)) + 1,
+    region: override.region,
+    startDate: override.startDate,
+    endDate: override.endDate || override.startDate,
+    weather: override.weather,
+  };
+  if (override.note) added.note = override.note;
+
+  const errors = validateOverrideDefinitions([added]);
+  if (errors.length > 0) throw new Error(errors.join("; "));
+
+  overrides.push(added);
+  return added;
+}
+
+/**
+ * Find overrides by id, or by region and overlapping date range
+ * @param {Array<object>} overrides - Overrides to search
+ * @param {object} filter - { id?, region?, startDate?, endDate? }
+ * @returns {Array<object>} Matching overrides
+ */
+function findOverrides(overrides, filter = {}) {
+  const from = filter.startDate ? parseDayNumber(filter.startDate) : -Infinity;
+  const to = filter.endDate ? parseDayNumber(filter.endDate) : Infinity;
+  return overrides.filter((override) => {
+    if (filter.id !== undefined && override.id !== filter.id) return false;
+    if (filter.region && override.region !== filter.region) return false;
+    const start = parseDayNumber(override.startDate);
+    const end = parseDayNumber(override.endDate || override.startDate);
+    return end >= from && start <= to;
+  });
+}
+
+module.exports = {
+  NO_OVERRIDES,
+  createOverrides,
+  validateOverrideDefinitions,
+  readOverridesFile,
+  writeOverridesFile,
+  addOverride,
+  findOverrides,
+};
@@ -0,0 +1,138 @@
+const {
+  seededRandom,
+  hashRegion,
+  withCampaignSeed,
+} = require("../utils/random");
+const { DEFAULT_IMPACTS } = require("../config/weatherRules");
+const { validateImpactValues } = require("./impactService");
+
+/**
+ * Phenomena Service
+ * Rare phenomena (aurora, eclipses, meteor showers, blood moons) from the
+ * "phenomena" section of regions.json. Unlike special events they are not
+ * scheduled: each one rolls independently per region and day against its
+ * per-season probability, seeded so a re-run never changes the result.
+ */
+
+const MS_PER_DAY = 86400000;
+const SEASONS = ["spring", "summer", "autumn", "winter"];
+
+/**
+ * Validate the phenomena list from regions.json
+ * @param {Array} phenomena - Phenomenon definitions
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validatePhenomenaDefinitions(phenomena) {
+  if (!Array.isArray(phenomena)) {
+    return ["Phenomena must be an array"];
+  }
+
+  const errors = [];
+  const names = new Set();
+  phenomena.forEach((phenomenon, index) => {
+    if (!phenomenon || !phenomenon.name) {
+      errors.push(`Phenomenon ${index + 1} missing required field: name`);
+      return;
+    }
+    const label = `'${phenomenon.name}'`;
+    if (names.has(phenomenon.name)) {
+      errors.push(`Phenomenon ${label} is defined more than once`);
+    }
+    names.add(phenomenon.name);
+
+    if (!phenomenon.probability || typeof phenomenon.probability !== "object") {
+      errors.push(
+        `Phenomenon ${label} must define a per-season 'probability' object`
+      );
+    } else {
+      for (const [season, chance] of Object.entries(phenomenon.probability)) {
+        if (!SEASONS.includes(season)) {
+          errors.push(`Phenomenon ${label} has unknown season '${season}'`);
+        } else if (typeof chance !== "number" || chance < 0 || chance > 1) {
+          errors.push(
+            `Phenomenon ${label} probability for '${season}' must be between 0 and 1`
+          );
+        }
+      }
+    }
+
+    if (
+      phenomenon.regions !== undefined &&
+      !Array.isArray(phenomenon.regions)
+    ) {
+      errors.push(
+        `Phenomenon ${label} 'regions' must be an array of region IDs`
+      );
+    }
+
+    const impacts = phenomenon.impacts || {};
+    for (const field of Object.keys(impacts)) {
+      if (!(field in DEFAULT_IMPACTS)) {
+        errors.push(`Phenomenon ${label} has unknown impact field '${field}'`);
+      }
+    }
+    errors.push(...validateImpactValues(impacts, `Phenomenon ${label}`));
+  });
+
+  return errors;
+}
+
+/**
+ * Create the phenomena table from the regions.json phenomena list
+ * @param {Array|undefined} definitions - Phenomenon definitions (none if undefined)
+ * @returns {object} Phenomena table with getPhenomena
+ */
+function createPhenomena(definitions = []) {
+  const errors = validatePhenomenaDefinitions(definitions);
+  if (errors.length > 0) {
+    throw new Error(`Invalid phenomena: ${errors.join("; ")}`);
+  }
+
+  return {
+    phenomena: definitions,
+
+    /**
+     * Phenomena occurring on a date in a region
+     * @param {Date} date - In-game date
+     * @param {string} regionId - Region ID
+     * @param {string} season - Season of the date
+     * @param {string|number} [campaignSeed] - Campaign seed (see random.js)
+     * @returns {Array<object>} Occurring phenomena, in configured order
+     */
+    getPhenomena(date, regionId, season, campaignSeed) {
+      const day = Math.floor(date.getTime() / MS_PER_DAY);
+      return definitions
+        .filter((phenomenon) => {
+          if (phenomenon.regions && !phenomenon.regions.includes(regionId)) {
+            return false;
+          }
+          const chance = phenomenon.probability[season] || 0;
+          if (chance <= 0) return false;
+
+          // Seeded by name too, so adding a phenomenon never shifts the others
+          const rng = seededRandom(
+            day * 69069 +
+              hashRegion(
+                withCampaignSeed(`${regionId}:${phenomenon.name}`, campaignSeed)
+              )
+          );
+          return rng() < chance;
+        })
+        .map((phenomenon) => ({
+          name: phenomenon.name,
+          emoji: phenomenon.emoji || "✨",
+          description: phenomenon.description || "",
+          effect: phenomenon.effect || "",
+          impacts: phenomenon.impacts || null,
+        }));
+    },
+  };
+}
+
+const NO_PHENOMENA = createPhenomena([]);
+
+module.exports = {
+  NO_PHENOMENA,
+  createPhenomena,
+  validatePhenomenaDefinitions,
+};
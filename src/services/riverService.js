@@ -0,0 +1,198 @@
+/**
+ * River Service
+ * Named rivers and their crossings, with a flood state that outlasts the
+ * weather that caused it. A region lists its rivers in regions.json:
+ *
+ * "rivers": [
+ *   { "name": "River Dun", "crossings": ["Old Mill Ford", "Kingsbridge"],
+ *     "drainDays": 2, "rise": { "Heavy Rain": 1, "Storm": 2 },
+ *     "snowmelt": true, "meltSeason": "spring", "freezeDays": 2 }
+ * ]
+ *
+ * - rise: flood levels a day of each condition adds (up to 3)
+ * - drainDays: days without rise for the river to drop one level
+ * - snowmelt: snow that fell (Snow 1, Blizzard 2, up to 6) melts in the
+ *   meltSeason (spring by default), one a day on days above Freezing, each
+ *   raising the river one level
+ * - freezeDays: Freezing days in a row before the crossings freeze over
+ *   (0 never freezes); the first day above Freezing thaws them
+ *
+ * Crossings are "frozen" while iced over, "flooded" while the river is above
+ * level 0, and "fordable" otherwise. States are carried forward day by day in
+ * blocks of RIVER_BLOCK_DAYS days: each block starts dry RIVER_HISTORY_DAYS
+ * days before its first day, so the same day always gets the same state
+ * however it is asked for, and every day of a block shares one pass.
+ */
+
+const RIVER_HISTORY_DAYS = 120;
+const RIVER_BLOCK_DAYS = 30;
+const MAX_FLOOD_LEVEL = 3;
+const MAX_SNOWPACK = 6;
+const SNOWFALL = { Snow: 1, Blizzard: 2 };
+
+const RIVER_DEFAULTS = Object.freeze({
+  drainDays: 2,
+  rise: Object.freeze({ "Heavy Rain": 1, Storm: 2 }),
+  snowmelt: true,
+  meltSeason: "spring",
+  freezeDays: 2,
+});
+
+const CROSSING_STATUSES = ["fordable", "flooded", "frozen"];
+const SEASONS = ["spring", "summer", "autumn", "winter"];
+
+/**
+ * Validate a region's "rivers" list
+ * @param {Array} rivers - River definitions from regions.json
+ * @param {Set<string>} weatherTypes - Valid weather types for "rise"
+ * @param {string} label - Prefix for error messages
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateRiverDefinitions(rivers, weatherTypes, label) {
+  if (!Array.isArray(rivers)) {
+    return [`${label} must be an array of rivers`];
+  }
+
+  const errors = [];
+  rivers.forEach((river, index) => {
+    const riverLabel = `${label} ${
+      river && river.name ? `'${river.name}'` : index + 1
+    }`;
+    if (!river || typeof river.name !== "string" || river.name === "") {
+      errors.push(`${riverLabel} missing required field: name`);
+      return;
+    }
+    if (
+      river.crossings !== undefined &&
+      !(
+        Array.isArray(river.crossings) &&
+        river.crossings.every((crossing) => typeof crossing === "string")
+      )
+    ) {
+      errors.push(`${riverLabel} 'crossings' must be an array of names`);
+    }
+    if (
+      river.drainDays !== undefined &&
+      !(Number.isInteger(river.drainDays) && river.drainDays >= 1)
+    ) {
+      errors.push(`${riverLabel} 'drainDays' must be a positive integer`);
+    }
+    if (
+      river.freezeDays !== undefined &&
+      !(Number.isInteger(river.freezeDays) && river.freezeDays >= 0)
+    ) {
+      errors.push(`${riverLabel} 'freezeDays' must be 0 or more`);
+    }
+    if (river.snowmelt !== undefined && typeof river.snowmelt !== "boolean") {
+      errors.push(`${riverLabel} 'snowmelt' must be true or false`);
+    }
+    if (river.meltSeason !== undefined && !SEASONS.includes(river.meltSeason)) {
+      errors.push(
+        `${riverLabel} 'meltSeason' must be one of: ${SEASONS.join(", ")}`
+      );
+    }
+    if (river.rise !== undefined) {
+      if (!river.rise || typeof river.rise !== "object") {
+        errors.push(`${riverLabel} 'rise' must be an object`);
+      } else {
+        for (const [condition, levels] of Object.entries(river.rise)) {
+          if (!weatherTypes.has(condition)) {
+            errors.push(
+              `${riverLabel} rise uses unknown weather type '${condition}'`
+            );
+          }
+          if (!(Number.isInteger(levels) && levels >= 0)) {
+            errors.push(
+              `${riverLabel} rise for '${condition}' must be 0 or more`
+            );
+          }
+        }
+      }
+    }
+  });
+  return errors;
+}
+
+// One day of a river: rain and meltwater raise it, dry days drain it
+function stepRiver(state, weather, river) {
+  let { level, dryDays, snowpack, freezingDays } = state;
+
+  let rise = river.rise[weather.condition] || 0;
+  snowpack = Math.min(
+    MAX_SNOWPACK,
+    snowpack + (SNOWFALL[weather.condition] || 0)
+  );
+  if (
+    river.snowmelt &&
+    weather.season === river.meltSeason &&
+    weather.temperature !== "Freezing" &&
+    !SNOWFALL[weather.condition] &&
+    snowpack > 0
+  ) {
+    snowpack--;
+    rise++;
+  }
+
+  if (rise > 0) {
+    level = Math.min(MAX_FLOOD_LEVEL, level + rise);
+    dryDays = 0;
+  } else if (level > 0 && ++dryDays >= river.drainDays) {
+    level--;
+    dryDays = 0;
+  }
+
+  freezingDays = weather.temperature === "Freezing" ? freezingDays + 1 : 0;
+  return { level, dryDays, snowpack, freezingDays };
+}
+
+/**
+ * River states for a run of consecutive days, carried forward from a dry
+ * start on the first of them
+ * @param {Array<object>} rivers - River definitions from regions.json
+ * @param {Array<object>} weatherDays - Consecutive days from getWeatherForDate
+ * @param {number} firstIndex - Index in weatherDays of the first day wanted
+ * @returns {Array<Array<object>>} Per day from firstIndex: [{ name, status, level, crossings }]
+ */
+function getRiverStates(rivers, weatherDays, firstIndex) {
+  const definitions = rivers.map((river) => ({
+    ...RIVER_DEFAULTS,
+    ...river,
+    rise: river.rise || RIVER_DEFAULTS.rise,
+  }));
+  let current = definitions.map(() => ({
+    level: 0,
+    dryDays: 0,
+    snowpack: 0,
+    freezingDays: 0,
+  }));
+
+  const states = [];
+  weatherDays.forEach((weather, index) => {
+    current = current.map((state, i) =>
+      stepRiver(state, weather, definitions[i])
+    );
+    if (index < firstIndex) return;
+    states.push(
+      definitions.map((river, i) => {
+        const { level, freezingDays } = current[i];
+        const frozen = river.freezeDays > 0 && freezingDays >= river.freezeDays;
+        return {
+          name: river.name,
+          status: frozen ? "frozen" : level > 0 ? "flooded" : "fordable",
+          level,
+          crossings: river.crossings || [],
+        };
+      })
+    );
+  });
+  return states;
+}
+
+module.exports = {
+  RIVER_HISTORY_DAYS,
+  RIVER_BLOCK_DAYS,
+  RIVER_DEFAULTS,
+  CROSSING_STATUSES,
+  validateRiverDefinitions,
+  getRiverStates,
+};
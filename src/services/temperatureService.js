@@ -0,0 +1,112 @@
+const {
+  seededRandom,
+  hashRegion,
+  withCampaignSeed,
+} = require("../utils/random");
+const {
+  weatherRules,
+  TEMPERATURE_BANDS,
+  WIND_STRENGTHS,
+} = require("../config/weatherRules");
+
+/**
+ * Temperature Service
+ * A temperature band and wind strength for each region and day, for rulings
+ * a condition name alone does not settle (does the lake freeze, can ships
+ * sail). Each value is rolled within the season's range from regions.json,
+ * narrowed by the range the condition allows in the weather rules, and is
+ * seeded so a re-run never changes it.
+ */
+
+const MS_PER_DAY = 86400000;
+
+// Season ranges for regions that do not configure their own
+const DEFAULT_SEASON_RANGES = Object.freeze({
+  spring: {
+    temperature: { min: "Cold", max: "Warm" },
+    wind: { min: "Calm", max: "Gale" },
+  },
+  summer: {
+    temperature: { min: "Mild", max: "Hot" },
+    wind: { min: "Calm", max: "Gale" },
+  },
+  autumn: {
+    temperature: { min: "Cold", max: "Warm" },
+    wind: { min: "Calm", max: "Gale" },
+  },
+  winter: {
+    temperature: { min: "Freezing", max: "Cool" },
+    wind: { min: "Calm", max: "Gale" },
+  },
+});
+
+/**
+ * Combine the season range with the condition's range
+ * The condition always wins: if the two do not overlap (Snow in a region
+ * whose summers are Mild to Hot), the condition's bound nearest the season
+ * range is used
+ * @returns {Array<number>} [low, high] indexes into the scale
+ */
+function getAllowedRange(scale, seasonRange, conditionRange) {
+  const seasonLow = scale.indexOf(seasonRange.min);
+  const seasonHigh = scale.indexOf(seasonRange.max);
+  if (!conditionRange) return [seasonLow, seasonHigh];
+
+  const conditionLow = scale.indexOf(conditionRange.min);
+  const conditionHigh = scale.indexOf(conditionRange.max);
+  if (conditionHigh < seasonLow) return [conditionHigh, conditionHigh];
+  if (conditionLow > seasonHigh) return [conditionLow, conditionLow];
+  return [
+    Math.max(seasonLow, conditionLow),
+    Math.min(seasonHigh, conditionHigh),
+  ];
+}
+
+/**
+ * Temperature band and wind strength for a region and day
+ * @param {Date} date - In-game date
+ * @param {string} regionId - Region ID
+ * @param {string} season - Season of the date
+ * @param {object} seasonData - Region's season table ({ temperature?, wind? })
+ * @param {string} condition - The day's weather condition
+ * @param {string|number} [campaignSeed] - Campaign seed (see random.js)
+ * @returns {object} { temperature, wind }
+ */
+function getTemperatureAndWind(
+  date,
+  regionId,
+  season,
+  seasonData,
+  condition,
+  campaignSeed
+) {
+  const defaults = DEFAULT_SEASON_RANGES[season];
+  const day = Math.floor(date.getTime() / MS_PER_DAY);
+  const rng = seededRandom(
+    day * 40503 +
+      hashRegion(withCampaignSeed(`${regionId}:climate`, campaignSeed))
+  );
+
+  const roll = (scale, seasonRange, conditionRange) => {
+    const [low, high] = getAllowedRange(scale, seasonRange, conditionRange);
+    return scale[low + Math.floor(rng() * (high - low + 1))];
+  };
+
+  return {
+    temperature: roll(
+      TEMPERATURE_BANDS,
+      (seasonData && seasonData.temperature) || defaults.temperature,
+      weatherRules.temperature[condition]
+    ),
+    wind: roll(
+      WIND_STRENGTHS,
+      (seasonData && seasonData.wind) || defaults.wind,
+      weatherRules.wind[condition]
+    ),
+  };
+}
+
+module.exports = {
+  DEFAULT_SEASON_RANGES,
+  getTemperatureAndWind,
+};
@@ -0,0 +1,154 @@
+const { validateImpactValues } = require("./impactService");
+
+/**
+ * Terrain Service
+ * Terrain tags let a region read the same weather differently: fog in a
+ * marsh, snow on mountain passes, heat in a desert. A region lists its tags
+ * in regions.json ("terrain": ["mountain", "forest"]) and the weather rules
+ * file's "terrain" section holds the modifiers per terrain and condition:
+ *
+ * "terrain": {
+ *   "mountain": {
+ *     "label": "Mountain", "emoji": "⛰️",
+ *     "conditions": {
+ *       "Snow": { "impacts": { "offRoadMult": 0 },
+ *                 "multipliers": { "roadMult": 0.5 },
+ *                 "effect": "Snow closes the passes" }
+ *     }
+ *   }
+ * }
+ *
+ * - impacts: impact fields set outright
+ * - multipliers: roadMult / offRoadMult scaled (kept between 0 and 1)
+ * - effect: text naming the terrain's effect in posts
+ *
+ * Modifiers apply in the region's tag order, before impact rules phrase the
+ * day's impacts.
+ */
+
+const MULTIPLIER_FIELDS = ["roadMult", "offRoadMult"];
+
+/**
+ * Validate the weather rules' "terrain" section
+ * @param {object} terrain - Terrain name -> definition
+ * @param {object} weatherTypes - Weather types from the rules definition
+ * @param {object} impactFields - Known impact fields with default values
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateTerrainDefinitions(terrain, weatherTypes, impactFields) {
+  if (!terrain || typeof terrain !== "object" || Array.isArray(terrain)) {
+    return ["Terrain must be an object of terrain definitions"];
+  }
+
+  const errors = [];
+  for (const [name, definition] of Object.entries(terrain)) {
+    const conditions = definition && definition.conditions;
+    if (!conditions || typeof conditions !== "object") {
+      errors.push(`Terrain '${name}' must define a 'conditions' object`);
+      continue;
+    }
+
+    for (const [condition, modifier] of Object.entries(conditions)) {
+      const label = `Terrain '${name}' condition '${condition}'`;
+      if (!weatherTypes[condition]) {
+        errors.push(`${label} is not a known weather type`);
+      }
+      if (!modifier || typeof modifier !== "object") {
+        errors.push(`${label} must be an object`);
+        continue;
+      }
+
+      const impacts = modifier.impacts || {};
+      for (const field of Object.keys(impacts)) {
+        if (!(field in impactFields)) {
+          errors.push(`${label} has unknown impact field '${field}'`);
+        }
+      }
+      errors.push(...validateImpactValues(impacts, label));
+
+      for (const [field, value] of Object.entries(modifier.multipliers || {})) {
+        if (!MULTIPLIER_FIELDS.includes(field)) {
+          errors.push(
+            `${label} multiplier '${field}' must be one of: ${MULTIPLIER_FIELDS.join(
+              ", "
+            )}`
+          );
+        } else if (!(typeof value === "number" && value >= 0)) {
+          errors.push(`${label} multiplier '${field}' must be 0 or more`);
+        }
+      }
+
+      if (
+        modifier.effect !== undefined &&
+        typeof modifier.effect !== "string"
+      ) {
+        errors.push(`${label} effect must be text`);
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validate a region's "terrain" tags
+ * @param {Array} tags - Terrain tags from regions.json
+ * @param {object} terrain - Terrain definitions from the weather rules
+ * @param {string} label - Prefix for error messages
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateRegionTerrain(tags, terrain, label) {
+  if (!Array.isArray(tags)) {
+    return [`${label} must be an array of terrain tags`];
+  }
+  return tags
+    .filter((tag) => !terrain[tag])
+    .map(
+      (tag) =>
+        `${label} has unknown terrain '${tag}' (expected one of: ${Object.keys(
+          terrain
+        ).join(", ")})`
+    );
+}
+
+/**
+ * Apply a region's terrain modifiers to a condition's impact fields
+ * @param {object} impactData - Impact fields for the condition
+ * @param {string} condition - Weather condition
+ * @param {Array<string>} tags - Region's terrain tags
+ * @param {object} terrain - Terrain definitions from the weather rules
+ * @returns {object} { impactData, effects: [{ terrain, label, emoji, condition, text, changes }] }
+ */
+function applyTerrain(impactData, condition, tags, terrain) {
+  let adjusted = impactData;
+  const effects = [];
+
+  for (const tag of tags || []) {
+    const definition = terrain[tag];
+    const modifier = definition && definition.conditions[condition];
+    if (!modifier) continue;
+
+    const changes = { ...modifier.impacts };
+    for (const [field, factor] of Object.entries(modifier.multipliers || {})) {
+      const base = field in changes ? changes[field] : adjusted[field];
+      changes[field] = Math.min(1, Math.max(0, base * factor));
+    }
+    adjusted = { ...adjusted, ...changes };
+
+    effects.push({
+      terrain: tag,
+      label: definition.label || tag,
+      emoji: definition.emoji || "🗺️",
+      condition,
+      text: modifier.effect || "",
+      changes,
+    });
+  }
+
+  return { impactData: adjusted, effects };
+}
+
+module.exports = {
+  validateTerrainDefinitions,
+  validateRegionTerrain,
+  applyTerrain,
+};
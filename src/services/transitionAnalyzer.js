@@ -0,0 +1,194 @@
+/**
+ * Transition Analyzer
+ * Checks the weather rules' transition graph against the regions that use it.
+ *
+ * A from -> to pair is a legal direct transition when it has no entry in the
+ * transitions table. Every hop inside a transition path (from -> step 1 ->
+ * ... -> to) must itself be legal, and every condition in a region's season
+ * table must be reachable from the weather the region can carry into it.
+ */
+
+const SEASONS = ["spring", "summer", "autumn", "winter"];
+
+// Season whose weather carries into each season
+const PREVIOUS_SEASON = {
+  spring: "winter",
+  summer: "spring",
+  autumn: "summer",
+  winter: "autumn",
+};
+
+/**
+ * Check whether a weather change needs no intermediate steps
+ * @param {object} transitions - Transition paths table
+ * @param {string} from - Weather before
+ * @param {string} to - Weather after
+ * @returns {boolean} True if the change may happen from one day to the next
+ */
+function isDirectTransition(transitions, from, to) {
+  if (from === to) return true;
+  const paths = transitions[from]?.[to];
+  return !paths || paths.length === 0;
+}
+
+/**
+ * Weather types listed in a season table
+ * @param {object} seasonData - { conditions: [...] }
+ * @returns {Array<string>} Condition names
+ */
+function getSeasonConditions(seasonData) {
+  return ((seasonData && seasonData.conditions) || []).map((entry) =>
+    typeof entry === "string" ? entry : entry.result
+  );
+}
+
+/**
+ * All weather types reachable from a set of start conditions using only
+ * legal direct transitions
+ */
+function findReachable(types, transitions, starts) {
+  const reached = new Set();
+  const queue = [...starts];
+  while (queue.length > 0) {
+    const from = queue.shift();
+    for (const to of types) {
+      if (
+        to !== from &&
+        !reached.has(to) &&
+        isDirectTransition(transitions, from, to)
+      ) {
+        reached.add(to);
+        queue.push(to);
+      }
+    }
+  }
+  return reached;
+}
+
+/**
+ * Analyze the transition graph
+ * @param {object} rules - Active weather rules ({ types, transitions })
+ * @param {object} regions - regions.json "regions" section
+ * @param {object} [options]
+ * @param {number} [options.minEpochLength=2] - Shortest possible epoch in days
+ * @returns {object} { illegalHops, unreachable, longPaths, markovDetours, directJumps, errors, warnings }
+ */
+function analyzeTransitionGraph(rules, regions = {}, options = {}) {
+  const minEpochLength = options.minEpochLength ?? 2;
+  const { types, transitions } = rules;
+
+  const illegalHops = [];
+  const longPaths = [];
+
+  // 1. Every hop in every path must be a legal direct transition
+  for (const [from, targets] of Object.entries(transitions)) {
+    for (const [to, paths] of Object.entries(targets)) {
+      for (const path of paths) {
+        const steps = [from, ...path, to];
+        for (let i = 0; i < steps.length - 1; i++) {
+          if (!isDirectTransition(transitions, steps[i], steps[i + 1])) {
+            illegalHops.push({ from, to, path, hop: [steps[i], steps[i + 1]] });
+          }
+        }
+
+        // 2. Paths that cannot finish within the shortest epoch
+        if (path.length >= minEpochLength) {
+          longPaths.push({ from, to, path });
+        }
+      }
+    }
+  }
+
+  // 3. Conditions a region can never reach from its carried-over weather
+  const unreachable = [];
+  const markovDetours = [];
+  const usedTypes = new Set();
+  for (const [regionId, region] of Object.entries(regions)) {
+    const seasonalWeather = region && region.seasonalWeather;
+    if (!seasonalWeather) continue;
+
+    for (const season of SEASONS) {
+      const conditions = getSeasonConditions(seasonalWeather[season]);
+      const carried = getSeasonConditions(
+        seasonalWeather[PREVIOUS_SEASON[season]]
+      );
+      conditions.forEach((condition) => usedTypes.add(condition));
+
+      // Markov rows naming a change that needs a path: the chain walks the
+      // path first, so the row's odds are not the day-to-day odds
+      if (region.weatherModel === "markov") {
+        const matrix = (seasonalWeather[season] || {}).matrix || {};
+        for (const [from, row] of Object.entries(matrix)) {
+          for (const to of getSeasonConditions({ conditions: row })) {
+            usedTypes.add(to);
+            if (!isDirectTransition(transitions, from, to)) {
+              markovDetours.push({ regionId, season, from, to });
+            }
+          }
+        }
+      }
+
+      const starts = new Set([...carried, ...conditions]);
+      for (const condition of new Set(conditions)) {
+        const others = [...starts].filter((start) => start !== condition);
+        if (others.length === 0) continue; // Only ever this condition
+        if (!findReachable(types, transitions, others).has(condition)) {
+          unreachable.push({ regionId, season, condition });
+        }
+      }
+    }
+  }
+
+  // 4. Pairs that change from one day to the next with no intermediate step
+  const pairTypes = usedTypes.size > 0 ? [...usedTypes] : [...types];
+  const directJumps = [];
+  for (const from of pairTypes) {
+    for (const to of pairTypes) {
+      if (from !== to && isDirectTransition(transitions, from, to)) {
+        directJumps.push({ from, to });
+      }
+    }
+  }
+
+  const errors = [
+    ...illegalHops.map(
+      ({ from, to, path, hop }) =>
+        `Path ${[from, ...path, to].join(" -> ")} contains illegal hop ${
+          hop[0]
+        } -> ${hop[1]}`
+    ),
+    ...unreachable.map(
+      ({ regionId, season, condition }) =>
+        `Region '${regionId}' season '${season}' can never reach '${condition}'`
+    ),
+  ];
+
+  const warnings = [
+    ...longPaths.map(
+      ({ from, to, path }) =>
+        `Path ${[from, ...path, to].join(" -> ")} needs ${
+          path.length + 1
+        } days and cannot complete within a ${minEpochLength}-day epoch`
+    ),
+    ...markovDetours.map(
+      ({ regionId, season, from, to }) =>
+        `Region '${regionId}' season '${season}' matrix row '${from}' lists '${to}', which is reached via a transition path`
+    ),
+  ];
+
+  return {
+    illegalHops,
+    unreachable,
+    longPaths,
+    markovDetours,
+    directJumps,
+    errors,
+    warnings,
+  };
+}
+
+module.exports = {
+  analyzeTransitionGraph,
+  isDirectTransition,
+  getSeasonConditions,
+};
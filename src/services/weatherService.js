@@ -1,7 +1,32 @@
 // weather.js
+const { GREGORIAN_CALENDAR } = require("./calendarService");
+const { REAL_TIME_CLOCK } = require("./clockService");
+const { DEFAULT_EVENT_CALENDAR } = require("./eventService");
+const { NO_PHENOMENA } = require("./phenomenaService");
+const { NO_FRONTS } = require("./frontService");
+const { NO_OVERRIDES } = require("./overrideService");
+const { getTemperatureAndWind } = require("./temperatureService");
+const { getYearCharacter, applyYearCharacter } = require("./yearService");
+const { getForecast } = require("./forecastService");
+const { createImpactRules } = require("./impactService");
+const { applyTerrain } = require("./terrainService");
+const {
+  RIVER_HISTORY_DAYS,
+  RIVER_BLOCK_DAYS,
+  getRiverStates,
+} = require("./riverService");
+const { weatherRules } = require("../config/weatherRules");
+const { isDirectTransition } = require("./transitionAnalyzer");
+const {
+  seededRandom,
+  hashRegion,
+  withCampaignSeed,
+} = require("../utils/random");
 
 // ----------------------
-// Weather type constants - use these instead of string literals
+// Built-in weather type names - use these instead of string literals
+// The active set of types (and their impacts and transitions) comes from
+// the weather rules file, see src/config/weatherRules.js
 // ----------------------
 const Weather = Object.freeze({
   CLEAR_SKIES: "Clear Skies",
@@ -15,68 +40,8 @@ const Weather = Object.freeze({
   FOG: "Fog",
 });
 
-// ----------------------
-// Special Event: One-off Comet
-// A rare celestial event visible across all regions on a specific date
-// ----------------------
-const COMET_DATE = {
-  year: 2026,
-  month: 5, // May (1-indexed)
-  day: 14,
-};
-
-/**
- * Check if a given date is the comet date
- * @param {Date} date - The date to check
- * @returns {boolean} True if this is the comet date
- */
-function isCometDate(date) {
-  return (
-    date.getUTCFullYear() === COMET_DATE.year &&
-    date.getUTCMonth() + 1 === COMET_DATE.month &&
-    date.getUTCDate() === COMET_DATE.day
-  );
-}
-
-/**
- * Get comet event details if applicable
- * @returns {object} Comet event info
- */
-function getCometEventInfo() {
-  return {
-    name: "Gunhilde",
-    description:
-      "The comet Gunhilde traces a bright green line across the sky. Everyone who sees it feels uplifted.",
-    impact: "Recover 1 Morale",
-  };
-}
-
-// All weather types as an array (for validation)
-const ALL_WEATHER_TYPES = Object.values(Weather);
-
-// ----------------------
-// Simple seeded random number generator (Mulberry32)
-// Ensures deterministic weather per date + region
-function seededRandom(seed) {
-  let a = seed ^ 0xdeadbeef;
-  return function () {
-    a |= 0;
-    a = (a + 0x7f4a7c15) | 0;
-    let t = Math.imul(a ^ (a >>> 13), 1 | a);
-    t = (t + Math.imul(t ^ (t >>> 9), 61 | t)) ^ t;
-    return ((t ^ (t >>> 11)) >>> 0) / 4294967296;
-  };
-}
-
-// ----------------------
-// Hash a region ID to a numeric value
-function hashRegion(regionId) {
-  let hash = 0;
-  for (let i = 0; i < regionId.length; i++) {
-    hash = ((hash << 5) - hash + regionId.charCodeAt(i)) & 0xffffffff;
-  }
-  return Math.abs(hash);
-}
+// All weather types defined by the active rules (for validation)
+const ALL_WEATHER_TYPES = weatherRules.types;
 
 // ----------------------
 // Weather Pattern System
@@ -88,127 +53,8 @@ function hashRegion(regionId) {
 // If a from->to pair is NOT in this table, it's a valid direct transition
 // Each entry maps to an array of possible paths - one is chosen randomly
 // Structure: TRANSITION_PATHS[fromWeather][toWeather] = [[path1], [path2], ...]
-
-// Short aliases for readability
-const {
-  CLEAR_SKIES,
-  LIGHT_RAIN,
-  HEAVY_RAIN,
-  STORM,
-  HOT,
-  HEATWAVE,
-  SNOW,
-  BLIZZARD,
-  FOG,
-} = Weather;
-
-const TRANSITION_PATHS = {
-  [HOT]: {
-    [SNOW]: [
-      [CLEAR_SKIES, LIGHT_RAIN],
-      [LIGHT_RAIN, LIGHT_RAIN],
-    ],
-    [BLIZZARD]: [
-      [CLEAR_SKIES, LIGHT_RAIN, SNOW],
-      [LIGHT_RAIN, SNOW, SNOW],
-    ],
-    [FOG]: [[CLEAR_SKIES]],
-  },
-
-  [HEATWAVE]: {
-    [SNOW]: [
-      [HOT, CLEAR_SKIES, LIGHT_RAIN],
-      [HOT, LIGHT_RAIN, LIGHT_RAIN],
-    ],
-    [BLIZZARD]: [
-      [HOT, CLEAR_SKIES, LIGHT_RAIN, SNOW],
-      [HOT, LIGHT_RAIN, SNOW, SNOW],
-    ],
-    [FOG]: [
-      [HOT, CLEAR_SKIES],
-      [LIGHT_RAIN, CLEAR_SKIES],
-    ],
-    [CLEAR_SKIES]: [[HOT]],
-  },
-
-  [SNOW]: {
-    [HOT]: [[CLEAR_SKIES], [LIGHT_RAIN]],
-    [HEATWAVE]: [
-      [CLEAR_SKIES, HOT],
-      [LIGHT_RAIN, CLEAR_SKIES, HOT],
-    ],
-    [HEAVY_RAIN]: [[LIGHT_RAIN]],
-    [STORM]: [[LIGHT_RAIN, HEAVY_RAIN]],
-  },
-
-  [BLIZZARD]: {
-    [HOT]: [
-      [SNOW, CLEAR_SKIES],
-      [FOG, CLEAR_SKIES],
-    ],
-    [HEATWAVE]: [
-      [SNOW, CLEAR_SKIES, HOT],
-      [FOG, CLEAR_SKIES, HOT],
-    ],
-    [CLEAR_SKIES]: [[SNOW], [FOG]],
-    [HEAVY_RAIN]: [[LIGHT_RAIN], [SNOW, LIGHT_RAIN]],
-    [STORM]: [
-      [LIGHT_RAIN, HEAVY_RAIN],
-      [FOG, LIGHT_RAIN, HEAVY_RAIN],
-    ],
-  },
-
-  [STORM]: {
-    [HOT]: [[CLEAR_SKIES], [FOG, CLEAR_SKIES]],
-    [HEATWAVE]: [
-      [CLEAR_SKIES, HOT],
-      [FOG, CLEAR_SKIES, HOT],
-    ],
-    [SNOW]: [[FOG], [HEAVY_RAIN, LIGHT_RAIN]],
-    [BLIZZARD]: [
-      [FOG, SNOW],
-      [HEAVY_RAIN, LIGHT_RAIN, SNOW],
-    ],
-  },
-
-  [HEAVY_RAIN]: {
-    [CLEAR_SKIES]: [[LIGHT_RAIN]],
-    [HOT]: [
-      [LIGHT_RAIN, CLEAR_SKIES],
-      [FOG, CLEAR_SKIES],
-    ],
-    [HEATWAVE]: [
-      [LIGHT_RAIN, CLEAR_SKIES, HOT],
-      [FOG, CLEAR_SKIES, HOT],
-    ],
-    [SNOW]: [[LIGHT_RAIN]],
-    [BLIZZARD]: [
-      [LIGHT_RAIN, SNOW],
-      [FOG, SNOW],
-    ],
-  },
-
-  [FOG]: {
-    [HOT]: [[CLEAR_SKIES]],
-    [HEATWAVE]: [[CLEAR_SKIES, HOT]],
-    [HEAVY_RAIN]: [[LIGHT_RAIN]],
-    [STORM]: [[LIGHT_RAIN, HEAVY_RAIN]],
-    [BLIZZARD]: [[SNOW]],
-  },
-
-  [LIGHT_RAIN]: {
-    [HOT]: [[CLEAR_SKIES]],
-    [HEATWAVE]: [[CLEAR_SKIES, HOT]],
-    [STORM]: [[HEAVY_RAIN]],
-    [BLIZZARD]: [[SNOW]],
-  },
-
-  [CLEAR_SKIES]: {
-    [HEATWAVE]: [[HOT]],
-    [BLIZZARD]: [[SNOW], [FOG, SNOW]],
-    [HEAVY_RAIN]: [[LIGHT_RAIN]],
-  },
-};
+// Defined by the "transitions" section of the weather rules file
+const TRANSITION_PATHS = weatherRules.transitions;
 
 // ----------------------
 // Select a random transition path from available options
@@ -235,197 +81,332 @@ function getDayNumber(date) {
 }
 
 // ----------------------
-// Find which epoch a given day belongs to, and the day's position within it
-// Epochs have variable length (2-5 days) determined by seeded RNG
-// Uses a fixed reference point (day 0) for consistent epoch boundaries
-function getEpochInfo(date, regionId) {
-  const targetDay = getDayNumber(date);
-  const regionOffset = hashRegion(regionId) % 1000;
-
-  // FIXED reference point: start from day 0 and scan forward
-  // We cache epoch boundaries per region, but for simplicity we scan each time
-  // This ensures consistent epoch boundaries across all queries
-
-  // Start scanning from a reasonable point (we know epochs are 2-5 days)
-  // To find epoch containing targetDay, start from an epoch well before it
-  // Use maximum epoch length (5 days) for conservative estimate to never overshoot
-  const estimatedEpochNum = Math.floor(targetDay / 5); // Conservative: assume max length
-  const startEpochNum = Math.max(0, estimatedEpochNum - 10); // Start 10 epochs back for safety
-
-  // Calculate the starting day for startEpochNum by scanning from epoch 0
-  let epochNumber = startEpochNum;
-  let epochStart = 0;
-
-  // Calculate actual epochStart for startEpochNum by simulating epochs from 0
-  for (let e = 0; e < startEpochNum; e++) {
-    const epochSeed = e * 8861 + regionOffset;
-    const epochRng = seededRandom(epochSeed);
-    const epochLength = 2 + Math.floor(epochRng() * 4);
-    epochStart += epochLength;
+// Length of an epoch (2-5 days), determined by seeded RNG
+// This is the single definition of epoch length - the date lookup and the
+// effective-weather replay both read boundaries from the same timeline
+const MIN_EPOCH_LENGTH = 2;
+const MAX_EPOCH_LENGTH = 5;
+
+function getEpochLength(epochNumber, seedKey) {
+  const regionOffset = hashRegion(seedKey) % 1000;
+  const epochRng = seededRandom(epochNumber * 8861 + regionOffset);
+  return (
+    MIN_EPOCH_LENGTH +
+    Math.floor(epochRng() * (MAX_EPOCH_LENGTH - MIN_EPOCH_LENGTH + 1))
+  ); // 2, 3, 4, or 5 days
+}
+
+// ----------------------
+// Per-region epoch timeline
+// Epoch boundaries are built once from day 0 (Jan 1, 1970) and memoized, so
+// every lookup for a region shares the same boundaries. Timelines are keyed
+// by the region's seed key (see getSeedKey), so each campaign seed gets its own.
+// - starts[n] is the first day of epoch n (starts[0] === 0)
+// - effectiveWeather caches end-of-epoch weather per weather config and context
+const epochTimelines = new Map();
+
+function getEpochTimeline(seedKey) {
+  let timeline = epochTimelines.get(seedKey);
+  if (!timeline) {
+    timeline = {
+      seedKey,
+      starts: [0],
+      effectiveWeather: new WeakMap(),
+    };
+    epochTimelines.set(seedKey, timeline);
   }
+  return timeline;
+}
 
-  // Scan forward to find the epoch containing targetDay
-  while (true) {
-    // Determine this epoch's length using seeded RNG (2-5 days)
-    const epochSeed = epochNumber * 8861 + regionOffset;
-    const epochRng = seededRandom(epochSeed);
-    const epochLength = 2 + Math.floor(epochRng() * 4); // 2, 3, 4, or 5 days
-
-    const epochEnd = epochStart + epochLength - 1;
-
-    if (targetDay >= epochStart && targetDay <= epochEnd) {
-      // Found our epoch
-      return {
-        epochNumber,
-        epochLength,
-        dayInEpoch: targetDay - epochStart, // 0-indexed day within epoch
-        epochStart,
-        epochEnd,
-      };
+// Nested WeakMap cache with one entry per combination of `keys`
+// (weather config, then the context keys), created on first use
+function getCacheEntry(root, keys, create) {
+  let map = root;
+  for (const key of keys.slice(0, -1)) {
+    let next = map.get(key);
+    if (!next) {
+      next = new WeakMap();
+      map.set(key, next);
     }
+    map = next;
+  }
+  const lastKey = keys[keys.length - 1];
+  let entry = map.get(lastKey);
+  if (!entry) {
+    entry = create();
+    map.set(lastKey, entry);
+  }
+  return entry;
+}
 
-    if (epochStart > targetDay) {
-      // We've gone past - this means our start estimate was wrong
-      // This shouldn't happen with proper calculation, but handle it
-      throw new Error(
-        `Epoch calculation error: epochStart ${epochStart} > targetDay ${targetDay}`
-      );
-    }
+// ----------------------
+// Generation context: the settings besides the weather config that decide a
+// region's weather - calendar (seasons), fronts, season blending, yearly
+// variation and the campaign seed
+function createContext(options) {
+  return {
+    calendar: options.calendar || GREGORIAN_CALENDAR,
+    fronts: options.fronts || NO_FRONTS,
+    seasonBlendDays: options.seasonBlendDays || 0,
+    yearlyVariation: options.yearlyVariation || null,
+    campaignSeed: options.campaignSeed ?? null,
+  };
+}
+
+// Key the region's epoch rolls are seeded from: the region ID, with the
+// campaign seed mixed in when one is set
+function getSeedKey(regionId, context) {
+  return withCampaignSeed(regionId, context.campaignSeed);
+}
 
-    // Move to next epoch
-    epochStart = epochEnd + 1;
-    epochNumber++;
+// Cache keys for a weather config and context (WeakMap keys must be objects,
+// so each blend window gets a shared key object)
+const blendKeys = new Map();
+const NO_YEARLY_VARIATION = {};
+function getContextKeys(seasonalWeatherConfig, context) {
+  let blendKey = blendKeys.get(context.seasonBlendDays);
+  if (!blendKey) {
+    blendKey = { seasonBlendDays: context.seasonBlendDays };
+    blendKeys.set(context.seasonBlendDays, blendKey);
+  }
+  return [
+    seasonalWeatherConfig,
+    context.calendar,
+    context.fronts,
+    blendKey,
+    context.yearlyVariation || NO_YEARLY_VARIATION,
+  ];
+}
+
+// Extend the timeline until it knows where epoch `epochNumber` ends
+function extendTimelineToEpoch(timeline, epochNumber) {
+  const { starts, seedKey } = timeline;
+  while (starts.length <= epochNumber + 1) {
+    const last = starts.length - 1;
+    starts.push(starts[last] + getEpochLength(last, seedKey));
+  }
+}
+
+// Extend the timeline until it covers `day`
+function extendTimelineToDay(timeline, day) {
+  const { starts, seedKey } = timeline;
+  while (starts[starts.length - 1] <= day) {
+    const last = starts.length - 1;
+    starts.push(starts[last] + getEpochLength(last, seedKey));
   }
 }
 
+// ----------------------
+// Find which epoch a given day belongs to, and the day's position within it
+// Binary search over the memoized timeline - O(log n) once the timeline is built
+function getEpochInfo(date, seedKey) {
+  const targetDay = getDayNumber(date);
+  if (targetDay < 0) {
+    throw new Error(
+      `Epoch calculation error: day ${targetDay} is before the timeline start`
+    );
+  }
+
+  const timeline = getEpochTimeline(seedKey);
+  extendTimelineToDay(timeline, targetDay);
+  const { starts } = timeline;
+
+  // Largest epoch whose start is <= targetDay
+  let lo = 0;
+  let hi = starts.length - 2;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (starts[mid] <= targetDay) lo = mid;
+    else hi = mid - 1;
+  }
+
+  const epochNumber = lo;
+  const epochStart = starts[epochNumber];
+  const epochEnd = starts[epochNumber + 1] - 1;
+
+  return {
+    epochNumber,
+    epochLength: epochEnd - epochStart + 1,
+    dayInEpoch: targetDay - epochStart, // 0-indexed day within epoch
+    epochStart,
+    epochEnd,
+  };
+}
+
 // ----------------------
 // Get the base weather for an epoch (before transition smoothing)
-function getEpochBaseWeather(epochNumber, seasonConfig, regionId) {
-  const epochSeed = epochNumber * 48271 + hashRegion(regionId);
+function getEpochBaseWeather(epochNumber, seasonConfig, seedKey) {
+  const epochSeed = epochNumber * 48271 + hashRegion(seedKey);
   const rng = seededRandom(epochSeed);
   return rollFromTable(rng, seasonConfig.conditions);
 }
 
 // ----------------------
-// Determine current season (Northern Hemisphere)
-const getSeason = (date) => {
-  const month = date.getUTCMonth() + 1;
-  const day = date.getUTCDate();
+// Pick the transition path from the previous epoch's weather into this one
+// Returns null for a direct transition
+function getEpochTransitionPath(epochNumber, fromWeather, toWeather, seedKey) {
+  const regionOffset = hashRegion(seedKey) % 1000;
+  const pathRng = seededRandom(epochNumber * 54321 + regionOffset);
+  return selectTransitionPath(pathRng, fromWeather, toWeather);
+}
 
-  if (month === 3 && day >= 20) return "spring";
-  if (month === 4 || month === 5) return "spring";
-  if (month === 6 && day < 21) return "spring";
+// ----------------------
+// Season blending (regions with "seasonBlendDays")
+// Within a window of seasonBlendDays days centred on a season boundary the
+// outgoing and incoming tables are mixed, shifting linearly from the old
+// season's odds to the new one's instead of flipping overnight.
+// Returns { from, to, ratio } (ratio = share of the incoming season) or null
+function getSeasonBlend(date, calendar, seasonBlendDays) {
+  if (!seasonBlendDays) return null;
+
+  const day = getDayNumber(date);
+  const seasonOn = (d) => calendar.getSeason(new Date(d * 86400000));
+  const season = seasonOn(day);
+  const half = seasonBlendDays / 2;
+
+  // offset = days from the boundary (the first day of the incoming season)
+  const blendAt = (from, to, offset) => ({
+    from,
+    to,
+    ratio: (offset + half + 0.5) / seasonBlendDays,
+  });
 
-  if (month === 6 && day >= 21) return "summer";
-  if (month === 7 || month === 8) return "summer";
-  if (month === 9 && day < 22) return "summer";
+  // Nearest boundary within half a window either side
+  for (let k = 1; k <= half + 1; k++) {
+    if (k <= half && seasonOn(day + k) !== season) {
+      return blendAt(season, seasonOn(day + k), -k);
+    }
+    if (k - 1 < half && seasonOn(day - k) !== season) {
+      return blendAt(seasonOn(day - k), season, k - 1);
+    }
+  }
+  return null;
+}
 
-  if (month === 9 && day >= 22) return "autumn";
-  if (month === 10 || month === 11) return "autumn";
-  if (month === 12 && day < 21) return "autumn";
+// Mix two weighted tables: each is scaled to its own total first, so the
+// ratio is the true share of each season's odds
+function blendTables(fromEntries, toEntries, ratio) {
+  const weights = new Map();
+  const add = (entries, share) => {
+    const table = entries.map((entry) =>
+      typeof entry === "string"
+        ? { result: entry, weight: 1 }
+        : { result: entry.result, weight: entry.weight ?? 1 }
+    );
+    const total = table.reduce((sum, e) => sum + e.weight, 0);
+    if (total <= 0) return;
+    for (const e of table) {
+      weights.set(
+        e.result,
+        (weights.get(e.result) || 0) + (share * e.weight) / total
+      );
+    }
+  };
+  add(fromEntries, 1 - ratio);
+  add(toEntries, ratio);
+  return [...weights].map(([result, weight]) => ({ result, weight }));
+}
 
-  return "winter";
-};
+// Season table mixed for a blend: conditions and (for Markov regions) the
+// transition matrix rows
+function blendSeasonData(fromData, toData, ratio) {
+  const blended = {
+    ...toData,
+    conditions: blendTables(fromData.conditions, toData.conditions, ratio),
+  };
+  if (fromData.matrix || toData.matrix) {
+    blended.matrix = {};
+    const rows = new Set([
+      ...Object.keys(fromData.matrix || {}),
+      ...Object.keys(toData.matrix || {}),
+    ]);
+    for (const condition of rows) {
+      blended.matrix[condition] = blendTables(
+        getMarkovRow(fromData, condition),
+        getMarkovRow(toData, condition),
+        ratio
+      );
+    }
+  }
+  return blended;
+}
 
 // ----------------------
-// Hardcoded mechanical impacts
-const WEATHER_IMPACTS = {
-  [Weather.CLEAR_SKIES]: {
-    roadMult: 1,
-    offRoadMult: 1,
-    canForcedMarch: true,
-    canNightMarch: true,
-    zeroVisibility: false,
-    canFordRivers: true,
-    type: "None",
-    special: "",
-  },
-  [Weather.LIGHT_RAIN]: {
-    roadMult: 1,
-    offRoadMult: 1,
-    canForcedMarch: true,
-    canNightMarch: true,
-    zeroVisibility: false,
-    canFordRivers: true,
-    type: "None",
-    special: "",
-  },
-  [Weather.HEAVY_RAIN]: {
-    roadMult: 0.75,
-    offRoadMult: 0.5,
-    canForcedMarch: true,
-    canNightMarch: false,
-    zeroVisibility: false,
-    canFordRivers: false,
-    type: "Bad",
-    special: "",
-  },
-  [Weather.STORM]: {
-    roadMult: 0.5,
-    offRoadMult: 0.25,
-    canForcedMarch: false,
-    canNightMarch: false,
-    zeroVisibility: false,
-    canFordRivers: false,
-    type: "Very Bad",
-    special: "",
-  },
-  [Weather.HOT]: {
-    roadMult: 1,
-    offRoadMult: 1,
-    canForcedMarch: true,
-    canNightMarch: true,
-    zeroVisibility: false,
-    canFordRivers: true,
-    type: "None",
-    special:
-      "Day Marching more than 6 miles requires morale check. Force marching requires morale check.",
-  },
-  [Weather.HEATWAVE]: {
-    roadMult: 0.75,
-    offRoadMult: 0.5,
-    canForcedMarch: false,
-    canNightMarch: true,
-    zeroVisibility: false,
-    canFordRivers: true,
-    type: "None",
-    special: "Day Marching gives -1 Morale. Night Marching is fine.",
-  },
-  [Weather.SNOW]: {
-    roadMult: 0.75,
-    offRoadMult: 0.5,
-    canForcedMarch: true,
-    canNightMarch: true,
-    zeroVisibility: false,
-    canFordRivers: true,
-    type: "Bad",
-    special: "",
-  },
-  [Weather.BLIZZARD]: {
-    roadMult: 0.25,
-    offRoadMult: 0,
-    canForcedMarch: false,
-    canNightMarch: false,
-    zeroVisibility: true,
-    canFordRivers: false,
-    type: "Very Bad",
-    special: "Marching gives -1 Morale.",
-  },
-  [Weather.FOG]: {
-    roadMult: 1,
-    offRoadMult: 1,
-    canForcedMarch: false,
-    canNightMarch: false,
-    zeroVisibility: true,
-    canFordRivers: false,
-    type: "Very Bad",
-    special:
-      "1-in-6 wrong turn at forked roads. Off-road: 2-in-6 chance of becoming lost.",
-  },
-};
+// Weather table governing a day, in the current epoch, a replayed one or the
+// Markov chain. The year's character (regions with "yearlyVariation") scales
+// the tables before any blending.
+function getEpochSeasonData(day, seasonalWeatherConfig, regionId, context) {
+  const date = new Date(day * 86400000);
+  const character = getYearCharacter(
+    date,
+    regionId,
+    context.calendar,
+    context.yearlyVariation,
+    context.campaignSeed
+  );
+  const lookup = (season) => {
+    const seasonData = seasonalWeatherConfig[season];
+    if (!seasonData) throw new Error(`No weather data for season '${season}'`);
+    return applyYearCharacter(seasonData, season, character);
+  };
+
+  const blend = getSeasonBlend(date, context.calendar, context.seasonBlendDays);
+  if (blend) {
+    return blendSeasonData(lookup(blend.from), lookup(blend.to), blend.ratio);
+  }
+  return lookup(context.calendar.getSeason(date));
+}
+
+// ----------------------
+// Front arriving in a region on a day, from its neighbours' recent weather
+// Neighbours are checked in order; for each, its most recent front condition
+// within the front's reach gets one seeded roll. Neighbour weather is taken
+// before fronts, so a front only ever travels one region per roll.
+// Returns { condition, label, from } or null
+function getArrivingFront(day, regionId, context) {
+  const { fronts } = context;
+  for (const neighbor of fronts.getNeighbors(regionId)) {
+    const neighborContext = createContext({
+      calendar: context.calendar,
+      seasonBlendDays: neighbor.seasonBlendDays,
+      yearlyVariation: neighbor.yearlyVariation,
+      campaignSeed: context.campaignSeed,
+    });
+    for (let k = 1; k <= fronts.maxDays && day - k >= 0; k++) {
+      const { condition } = getModelCondition(
+        new Date((day - k) * 86400000),
+        neighbor.seasonalWeather,
+        neighbor.id,
+        neighborContext,
+        neighbor.weatherModel
+      );
+      const front = fronts.getFront(condition);
+      if (!front || k > front.days) continue;
+
+      if (
+        fronts.rollArrival(
+          day,
+          regionId,
+          neighbor.id,
+          front,
+          context.campaignSeed
+        )
+      ) {
+        return { condition, label: front.label, from: neighbor.name };
+      }
+      break; // One roll per neighbour
+    }
+  }
+  return null;
+}
+
+// ----------------------
+// Mechanical impacts per weather type, from the weather rules file
+const WEATHER_IMPACTS = weatherRules.impacts;
 
 // ----------------------
 // Weighted roll table
+// Only weather types defined in the active rules are accepted
 function rollFromTable(rng, entries) {
   const table = entries.map((entry) =>
     typeof entry === "string"
@@ -433,6 +414,14 @@ function rollFromTable(rng, entries) {
       : { result: entry.result, weight: entry.weight ?? 1 }
   );
 
+  for (const e of table) {
+    if (!weatherRules.typeSet.has(e.result)) {
+      throw new Error(
+        `Unknown weather type '${e.result}' (not defined in weather rules)`
+      );
+    }
+  }
+
   let totalWeight = 0;
   for (const e of table) totalWeight += e.weight;
 
@@ -446,279 +435,899 @@ function rollFromTable(rng, entries) {
 }
 
 // ----------------------
-// Format impacts into human-readable array
-function formatImpacts(impactData) {
-  if (!impactData) return [];
+// Mechanical impacts from a day's impactData, by the weather rules'
+// "impactRules" (see impactService), as { id, category, text, effects }
+const IMPACT_RULES = createImpactRules(weatherRules.impactRules);
+const getImpacts = IMPACT_RULES.getImpacts;
 
-  const impacts = [];
+// ----------------------
+// Anchor epoch for weather computation
+// We iterate forward from this epoch with a known starting weather.
+// Epoch 0 = day 0 (Jan 1, 1970), but we use a more recent anchor for efficiency.
+// Anchor epoch 5900 begins in mid-2026 (the exact day depends on the region);
+// every epoch before it treats ANCHOR_WEATHER as the previous epoch's weather.
+const ANCHOR_EPOCH = 5900;
+const ANCHOR_WEATHER = weatherRules.typeSet.has(Weather.LIGHT_RAIN)
+  ? Weather.LIGHT_RAIN
+  : weatherRules.types[0];
+
+// ----------------------
+// Get the effective weather at the end of an epoch (what we'd actually see)
+// This accounts for transition paths that may not complete within the epoch.
+// Each replayed epoch rolls from the seasons it actually fell in, so carry-over
+// weather across a season boundary is the previous season's real weather.
+// Results are memoized on the region's timeline, so the replay forward from
+// ANCHOR_EPOCH only ever happens once per region and weather config.
+function getEffectiveEpochEndWeather(
+  epochNumber,
+  seasonalWeatherConfig,
+  regionId,
+  context = createContext({})
+) {
+  if (epochNumber < ANCHOR_EPOCH) return ANCHOR_WEATHER;
+
+  const seedKey = getSeedKey(regionId, context);
+  const timeline = getEpochTimeline(seedKey);
+  extendTimelineToEpoch(timeline, epochNumber);
+
+  // Seasons (and so the replay) depend on the weather config, calendar and
+  // blending, and arriving fronts on the campaign's fronts
+  const cache = getCacheEntry(
+    timeline.effectiveWeather,
+    getContextKeys(seasonalWeatherConfig, context),
+    () => []
+  );
 
-  // Road travel impacts
-  if (impactData.roadMult < 1) {
-    impacts.push(
-      `Road travel at ${Math.round(impactData.roadMult * 100)}% speed`
+  // cache[i] holds the effective weather at the end of epoch ANCHOR_EPOCH + i
+  for (let e = ANCHOR_EPOCH + cache.length; e <= epochNumber; e++) {
+    const previousWeather =
+      cache.length > 0 ? cache[cache.length - 1] : ANCHOR_WEATHER;
+    const epochStart = timeline.starts[e];
+    const epochLength = timeline.starts[e + 1] - epochStart;
+
+    // What weather would be on the last day of this epoch? Each day rolls
+    // from its own season, and a path longer than the epoch carries the
+    // intermediate weather forward
+    cache.push(
+      getEpochDayCondition(
+        e,
+        epochStart,
+        epochStart + epochLength - 1,
+        previousWeather,
+        seasonalWeatherConfig,
+        regionId,
+        context
+      ).condition
     );
   }
-  if (impactData.offRoadMult < 1) {
-    if (impactData.offRoadMult === 0) {
-      impacts.push("Off-road travel impossible");
-    } else {
-      impacts.push(
-        `Off-road travel at ${Math.round(impactData.offRoadMult * 100)}% speed`
-      );
-    }
-  }
 
-  // March restrictions
-  if (!impactData.canForcedMarch) {
-    impacts.push("Forced marching not possible");
+  return cache[epochNumber - ANCHOR_EPOCH];
+}
+
+// ----------------------
+// Condition on a day of an epoch, given the weather the previous epoch ended
+// with. The epoch's target is a front arriving from a neighbour when the
+// epoch starts, otherwise the base weather rolled from the day's own season.
+// When the season (or a season blend) changes the target part-way through an
+// epoch, the new target is reached by a transition path from the day before,
+// seeded by the day it changed on, so a new season never starts with a jump.
+// Returns { condition, front } - front is set while a front is moving in
+function getEpochDayCondition(
+  epochNumber,
+  epochStart,
+  day,
+  previousWeather,
+  seasonalWeatherConfig,
+  regionId,
+  context
+) {
+  const seedKey = getSeedKey(regionId, context);
+  const front = getArrivingFront(epochStart, regionId, context);
+  const getTarget = (d) =>
+    front
+      ? front.condition
+      : getEpochBaseWeather(
+          epochNumber,
+          getEpochSeasonData(d, seasonalWeatherConfig, regionId, context),
+          seedKey
+        );
+  const target = getTarget(day);
+
+  // First day of the run of days sharing this target
+  let runStart = day;
+  while (runStart > epochStart && getTarget(runStart - 1) === target) {
+    runStart--;
   }
-  if (!impactData.canNightMarch) {
-    impacts.push("Night marching not possible");
+
+  const path =
+    runStart === epochStart
+      ? getEpochTransitionPath(epochNumber, previousWeather, target, seedKey)
+      : getEpochTransitionPath(
+          runStart,
+          getEpochDayCondition(
+            epochNumber,
+            epochStart,
+            runStart - 1,
+            previousWeather,
+            seasonalWeatherConfig,
+            regionId,
+            context
+          ).condition,
+          target,
+          seedKey
+        );
+  const index = day - runStart;
+
+  // A front is reported until it has arrived
+  const arrivalDay = path ? path.length : 0;
+  const movingFront = front && index <= arrivalDay ? front : null;
+
+  if (path && index < path.length) {
+    // Still in transition - use intermediate weather from the path
+    return { condition: path[index], front: movingFront };
   }
 
-  // Visibility
-  if (impactData.zeroVisibility) {
-    impacts.push("Zero visibility");
+  // Direct transition, or past the transition period - use the target weather
+  return { condition: target, front: movingFront };
+}
+
+// ----------------------
+// Weather condition for a date from the epoch pattern (before any events)
+// Returns { condition, front } - front is set while a front is moving in
+function getEpochCondition(date, seasonalWeatherConfig, regionId, context) {
+  // Get epoch info for this date
+  const seedKey = getSeedKey(regionId, context);
+  const { epochNumber, epochStart } = getEpochInfo(date, seedKey);
+
+  // Get the EFFECTIVE weather at the end of the previous epoch
+  // (this accounts for incomplete transitions)
+  const prevEffectiveWeather = getEffectiveEpochEndWeather(
+    epochNumber - 1,
+    seasonalWeatherConfig,
+    regionId,
+    context
+  );
+
+  return getEpochDayCondition(
+    epochNumber,
+    epochStart,
+    getDayNumber(date),
+    prevEffectiveWeather,
+    seasonalWeatherConfig,
+    regionId,
+    context
+  );
+}
+
+// ----------------------
+// Markov-chain model (regions with "weatherModel": "markov")
+// Each day rolls the next condition from the season's "matrix" row for the
+// previous day's condition, or from the season's conditions table if the
+// matrix has no row for it. A roll that is not a legal direct transition walks
+// a transition path first, and no new rolls are made until it completes.
+// The chain runs forward from MARKOV_ANCHOR_DAY, starting from ANCHOR_WEATHER,
+// and is memoized per region (and campaign seed), weather config, calendar,
+// blending and fronts, like the epoch replay. A front arriving from a
+// neighbour replaces the day's roll.
+const WEATHER_MODELS = ["epoch", "markov"];
+
+// Day the chain starts on (Jan 1, 2026). The chain keeps its state every
+// MARKOV_SNAPSHOT_DAYS days and the conditions of only the MARKOV_SPANS_KEPT
+// spans last asked for (fronts look back across a span's start). Like the
+// epochs before ANCHOR_EPOCH, each span before the anchor starts afresh from
+// ANCHOR_WEATHER
+const MARKOV_ANCHOR_DAY = 20454;
+const MARKOV_SNAPSHOT_DAYS = 365;
+const MARKOV_SPANS_KEPT = 2;
+
+const markovChains = new Map();
+
+function getMarkovChain(seedKey, seasonalWeatherConfig, context) {
+  let byConfig = markovChains.get(seedKey);
+  if (!byConfig) {
+    byConfig = new WeakMap();
+    markovChains.set(seedKey, byConfig);
   }
+  // snapshots[k] is the state at the start of span k (the day before's
+  // condition, the rest of a path being walked and the front it leads to);
+  // spans holds the number, days and fronts of the spans last walked
+  return getCacheEntry(
+    byConfig,
+    getContextKeys(seasonalWeatherConfig, context),
+    () => ({
+      snapshots: [
+        { previous: ANCHOR_WEATHER, pending: [], pendingFront: null },
+      ],
+      spans: [],
+    })
+  );
+}
 
-  // River crossing
-  if (!impactData.canFordRivers) {
-    impacts.push("Cannot ford rivers");
+// Weighted table for the day after `condition`
+function getMarkovRow(seasonData, condition) {
+  return (
+    (seasonData.matrix && seasonData.matrix[condition]) || seasonData.conditions
+  );
+}
+
+// Walk one span of the chain from its snapshot, storing the state it ends
+// with as the next span's snapshot
+// Returns { number, days, fronts }
+function walkMarkovSpan(chain, span, seasonalWeatherConfig, regionId, context) {
+  const snapshot = chain.snapshots[Math.max(span, 0)];
+  const state = { ...snapshot, pending: [...snapshot.pending] };
+  const regionSeed = hashRegion(getSeedKey(regionId, context));
+  const firstDay = MARKOV_ANCHOR_DAY + span * MARKOV_SNAPSHOT_DAYS;
+  const days = [];
+  const fronts = [];
+
+  for (let day = firstDay; day < firstDay + MARKOV_SNAPSHOT_DAYS; day++) {
+    if (state.pending.length === 0) {
+      const seasonData = getEpochSeasonData(
+        day,
+        seasonalWeatherConfig,
+        regionId,
+        context
+      );
+      const rng = seededRandom(day * 16807 + regionSeed);
+      const rolledWeather = rollFromTable(
+        rng,
+        getMarkovRow(seasonData, state.previous)
+      );
+      const front = getArrivingFront(day, regionId, context);
+      const nextWeather = front ? front.condition : rolledWeather;
+      const path = selectTransitionPath(rng, state.previous, nextWeather);
+      state.pending = path ? [...path, nextWeather] : [nextWeather];
+      state.pendingFront = front;
+    }
+    state.previous = state.pending.shift();
+    days.push(state.previous);
+    fronts.push(state.pendingFront);
   }
 
-  // Battle and scouting impacts based on weather type
-  if (impactData.type === "Bad") {
-    impacts.push("-1 to battle rolls");
-    impacts.push("Scouting range reduced by 1 hex");
-  } else if (impactData.type === "Very Bad") {
-    impacts.push("-1 to battle rolls");
-    impacts.push("Scouting range reduced by 2 hexes");
+  if (span >= 0 && chain.snapshots.length === span + 1) {
+    chain.snapshots.push(state);
   }
+  return { number: span, days, fronts };
+}
+
+// ----------------------
+// Weather condition for a date from the Markov chain (before any events)
+// Returns { condition, front } like getEpochCondition
+function getMarkovCondition(date, seasonalWeatherConfig, regionId, context) {
+  const targetDay = getDayNumber(date);
+  const seedKey = getSeedKey(regionId, context);
+  const chain = getMarkovChain(seedKey, seasonalWeatherConfig, context);
+  const span = Math.floor(
+    (targetDay - MARKOV_ANCHOR_DAY) / MARKOV_SNAPSHOT_DAYS
+  );
 
-  // Special effects
-  if (impactData.special) {
-    impacts.push(impactData.special);
+  let walked = chain.spans.find(({ number }) => number === span);
+  if (!walked) {
+    // Spans skipped over only leave their snapshot behind
+    for (let k = chain.snapshots.length - 1; k < span; k++) {
+      walkMarkovSpan(chain, k, seasonalWeatherConfig, regionId, context);
+    }
+    walked = walkMarkovSpan(
+      chain,
+      span,
+      seasonalWeatherConfig,
+      regionId,
+      context
+    );
+    chain.spans.push(walked);
+    if (chain.spans.length > MARKOV_SPANS_KEPT) chain.spans.shift();
   }
 
-  return impacts;
+  const index = targetDay - MARKOV_ANCHOR_DAY - span * MARKOV_SNAPSHOT_DAYS;
+  return { condition: walked.days[index], front: walked.fronts[index] };
 }
 
 // ----------------------
-// Anchor epoch for weather computation
-// We iterate forward from this epoch with a known starting weather.
-// Epoch 0 = day 0 (Jan 1, 1970), but we use a more recent anchor for efficiency.
-// Anchor epoch ~5765 corresponds to roughly Jan 1, 2020.
-const ANCHOR_EPOCH = 5900;
-const ANCHOR_WEATHER = Weather.LIGHT_RAIN;
+// Weather condition from the region's weather model (before any events)
+function getModelCondition(
+  date,
+  seasonalWeatherConfig,
+  regionId,
+  context,
+  model
+) {
+  const getCondition =
+    model === "markov" ? getMarkovCondition : getEpochCondition;
+  return getCondition(date, seasonalWeatherConfig, regionId, context);
+}
 
 // ----------------------
-// Get the effective weather at the end of an epoch (what we'd actually see)
-// This accounts for transition paths that may not complete within the epoch.
-// Iterates forward from ANCHOR_EPOCH with known starting weather.
-function getEffectiveEpochEndWeather(epochNumber, seasonConfig, regionId) {
-  const regionOffset = hashRegion(regionId) % 1000;
-
-  // Start from anchor with known weather
-  let effectiveWeather = ANCHOR_WEATHER;
-
-  // Iterate forward from anchor to target epoch
-  for (let e = ANCHOR_EPOCH; e <= epochNumber; e++) {
-    // Get this epoch's length
-    const epochSeed = e * 7919 + regionOffset;
-    const epochRng = seededRandom(epochSeed);
-    const epochLength = 2 + Math.floor(epochRng() * 4); // 2-5 days
-
-    // Get the base weather for this epoch
-    const baseWeather = getEpochBaseWeather(e, seasonConfig, regionId);
-
-    // Check if transition needs intermediate steps
-    const pathSeed = e * 54321 + regionOffset;
-    const pathRng = seededRandom(pathSeed);
-    const path = selectTransitionPath(pathRng, effectiveWeather, baseWeather);
-
-    if (path) {
-      // Transition requires intermediate steps
-      // What weather would be on the last day of this epoch?
-      const lastDayIndex = epochLength - 1;
-      if (lastDayIndex < path.length) {
-        // Still in transition - carry forward the intermediate weather
-        effectiveWeather = path[lastDayIndex];
-      } else {
-        // Past transition - reached target weather
-        effectiveWeather = baseWeather;
-      }
-    } else {
-      // Direct transition (no intermediate steps needed)
-      effectiveWeather = baseWeather;
+// Scheduled condition for a date: the first active event forcing weather
+// wins, otherwise the region's weather model decides
+function getScheduledCondition(date, seasonalWeatherConfig, regionId, options) {
+  const calendar = options.calendar || GREGORIAN_CALENDAR;
+  const eventCalendar = options.events || DEFAULT_EVENT_CALENDAR;
+
+  const events = eventCalendar.getActiveEvents(date, regionId, calendar);
+  const forcingEvent = events.find((event) => event.weather);
+  if (forcingEvent) {
+    return { condition: forcingEvent.weather, front: null, events };
+  }
+
+  const { condition, front } = getModelCondition(
+    date,
+    seasonalWeatherConfig,
+    regionId,
+    createContext(options),
+    options.model
+  );
+  return { condition, front, events };
+}
+
+// ----------------------
+// GM overrides (see overrideService)
+// A day covered by an override takes its weather ahead of events and the
+// weather model. On the days after, the region steers back to its scheduled
+// weather one legal step per day: while the scheduled condition is not a
+// direct change from the day before, the first step of a transition path
+// towards it is taken instead. Neighbours' fronts never carry overrides.
+const OVERRIDE_RECOVERY_DAYS = 7;
+
+// Day condition for a date, with GM overrides applied
+// Returns { condition, front, events, override }
+function getDayCondition(date, seasonalWeatherConfig, regionId, options) {
+  const overrides = options.overrides || NO_OVERRIDES;
+  const scheduled = getScheduledCondition(
+    date,
+    seasonalWeatherConfig,
+    regionId,
+    options
+  );
+
+  const override = overrides.getOverride(date, regionId);
+  if (override) {
+    return {
+      condition: override.weather,
+      front: null,
+      events: scheduled.events,
+      override,
+    };
+  }
+
+  // Most recent forced day within reach
+  const day = getDayNumber(date);
+  let forcedDay = null;
+  let weather = null;
+  for (let k = 1; k <= OVERRIDE_RECOVERY_DAYS && forcedDay === null; k++) {
+    const previous = overrides.getOverride(
+      new Date((day - k) * 86400000),
+      regionId
+    );
+    if (previous) {
+      forcedDay = day - k;
+      weather = previous.weather;
     }
   }
+  if (forcedDay === null) return { ...scheduled, override: null };
+
+  // Walk forward from the forced day until the scheduled weather is reachable
+  const regionSeed = hashRegion(
+    withCampaignSeed(`${regionId}:override`, options.campaignSeed)
+  );
+  for (let d = forcedDay + 1; d <= day; d++) {
+    const target =
+      d === day
+        ? scheduled.condition
+        : getScheduledCondition(
+            new Date(d * 86400000),
+            seasonalWeatherConfig,
+            regionId,
+            options
+          ).condition;
+    if (isDirectTransition(TRANSITION_PATHS, weather, target)) {
+      return { ...scheduled, override: null };
+    }
+    const path = selectTransitionPath(
+      seededRandom(d * 65537 + regionSeed),
+      weather,
+      target
+    );
+    weather = path[0];
+  }
+
+  return {
+    condition: weather,
+    front: null,
+    events: scheduled.events,
+    override: null,
+  };
+}
+
+// ----------------------
+// Night condition, between today's day condition and tomorrow's
+// Rolled from the day condition's "night" table in the weather rules (the
+// same weather if it has none), with a chance of tomorrow's weather arriving
+// overnight. Candidates that are not a legal direct change from today or into
+// tomorrow are dropped, so day -> night -> next day follows the transitions.
+function getNightCondition(
+  date,
+  dayCondition,
+  nextCondition,
+  regionId,
+  campaignSeed
+) {
+  const table = (
+    weatherRules.night[dayCondition] || [{ result: dayCondition, weight: 3 }]
+  ).filter((entry) => {
+    const result = typeof entry === "string" ? entry : entry.result;
+    return (
+      isDirectTransition(TRANSITION_PATHS, dayCondition, result) &&
+      isDirectTransition(TRANSITION_PATHS, result, nextCondition)
+    );
+  });
+  if (
+    nextCondition !== dayCondition &&
+    isDirectTransition(TRANSITION_PATHS, dayCondition, nextCondition)
+  ) {
+    table.push({ result: nextCondition, weight: 1 });
+  }
+  if (table.length === 0) return dayCondition;
 
-  return effectiveWeather;
+  const rng = seededRandom(
+    getDayNumber(date) * 22695477 +
+      hashRegion(withCampaignSeed(`${regionId}:night`, campaignSeed))
+  );
+  return rollFromTable(rng, table);
 }
 
 // ----------------------
 // Main function: weather for a date using epoch-based pattern system
+// options.model - "epoch" (default) or "markov", see WEATHER_MODELS
+// options.calendar - campaign calendar (see calendarService), Gregorian by default
+// options.events - special events (see eventService), the built-in comet by default
+// options.phenomena - rare phenomena (see phenomenaService), none by default
+// options.fronts - weather fronts between neighbours (see frontService), none by default
+// options.seasonBlendDays - window for blending seasons at their boundaries, off by default
+// options.yearlyVariation - yearly climate variation (see yearService), off by default
+// options.overrides - GM weather overrides (see overrideService), none by default
+// options.campaignSeed - mixed into every seeded roll (see random.js), none by default
+// options.terrain - region's terrain tags (see terrainService), none by default
 const getWeatherForDate = (
   date,
   seasonalWeatherConfig,
-  regionId = "default"
+  regionId = "default",
+  options = {}
 ) => {
-  const season = getSeason(date);
+  const calendar = options.calendar || GREGORIAN_CALENDAR;
+  const season = calendar.getSeason(date);
   const seasonData = seasonalWeatherConfig[season];
   if (!seasonData) throw new Error(`No weather data for season '${season}'`);
 
-  // Check for special comet event - overrides normal weather
-  const hasComet = isCometDate(date);
-  if (hasComet) {
-    const formattedDate = date.toLocaleDateString("en-US", {
-      month: "long",
-      day: "numeric",
-      timeZone: "UTC",
-    });
-    const dayOfWeek = date.toLocaleDateString("en-US", {
-      weekday: "long",
-      timeZone: "UTC",
-    });
+  // Near a season boundary: how far the odds have moved between seasons
+  const seasonBlend = getSeasonBlend(date, calendar, options.seasonBlendDays);
+  const seasonLabel = seasonBlend
+    ? `${seasonBlend.from === season ? "late" : "early"} ${season}`
+    : season;
+
+  // The year's character (drought, harsh winter, ...) if it has one
+  const yearCharacter = getYearCharacter(
+    date,
+    regionId,
+    calendar,
+    options.yearlyVariation,
+    options.campaignSeed
+  );
 
-    return {
-      date: formattedDate,
-      dayOfWeek,
-      season,
-      condition: Weather.CLEAR_SKIES,
-      impacts: [],
-      impactData: WEATHER_IMPACTS[Weather.CLEAR_SKIES],
-      hasComet: true,
-      cometEvent: getCometEventInfo(),
-    };
-  }
+  const { condition, front, events, override } = getDayCondition(
+    date,
+    seasonalWeatherConfig,
+    regionId,
+    options
+  );
 
-  // Get epoch info for this date
-  const epochInfo = getEpochInfo(date, regionId);
-  const { epochNumber, epochLength, dayInEpoch } = epochInfo;
+  // A GM override or an event forcing the day's weather holds through the
+  // night; otherwise the night leads into tomorrow's day condition
+  const forcingEvent = events.find((event) => event.weather);
+  const forced =
+    override !== null ||
+    (forcingEvent !== undefined && forcingEvent.weather === condition);
+  const nightCondition = forced
+    ? condition
+    : getNightCondition(
+        date,
+        condition,
+        getDayCondition(
+          new Date(date.getTime() + 86400000),
+          seasonalWeatherConfig,
+          regionId,
+          options
+        ).condition,
+        regionId,
+        options.campaignSeed
+      );
 
-  // Get the base weather for current epoch
-  const currentEpochWeather = getEpochBaseWeather(
-    epochNumber,
-    seasonData,
-    regionId
+  // Rare phenomena rolled for this region and day
+  const phenomena = (options.phenomena || NO_PHENOMENA).getPhenomena(
+    date,
+    regionId,
+    season,
+    options.campaignSeed
   );
 
-  // Get the EFFECTIVE weather at the end of the previous epoch
-  // (this accounts for incomplete transitions)
-  const prevEffectiveWeather = getEffectiveEpochEndWeather(
-    epochNumber - 1,
+  // Temperature band and wind strength, within the condition's range
+  const { temperature, wind } = getTemperatureAndWind(
+    date,
+    regionId,
+    season,
     seasonData,
-    regionId
+    condition,
+    options.campaignSeed
   );
-
-  // Determine actual weather condition
-  let condition;
-
-  // Check if this transition requires intermediate steps
-  const regionOffset = hashRegion(regionId) % 1000;
-  const pathSeed = epochNumber * 54321 + regionOffset;
-  const pathRng = seededRandom(pathSeed);
-  const path = selectTransitionPath(
-    pathRng,
-    prevEffectiveWeather,
-    currentEpochWeather
+  const night = getTemperatureAndWind(
+    date,
+    regionId,
+    season,
+    seasonData,
+    nightCondition,
+    options.campaignSeed
   );
 
-  if (path) {
-    // Transition requires intermediate steps
-    if (dayInEpoch < path.length) {
-      // Use intermediate weather from the transition path
-      condition = path[dayInEpoch];
-    } else {
-      // Past the transition period - use the target weather
-      condition = currentEpochWeather;
+  // The region's terrain adjusts the conditions' mechanical impacts, then
+  // phenomena may override them
+  const terrain = applyTerrain(
+    { ...WEATHER_IMPACTS[condition], temperature, wind },
+    condition,
+    options.terrain,
+    weatherRules.terrain
+  );
+  let impactData = terrain.impactData;
+  let nightImpactData = applyTerrain(
+    {
+      ...WEATHER_IMPACTS[nightCondition],
+      temperature: night.temperature,
+      wind: night.wind,
+    },
+    nightCondition,
+    options.terrain,
+    weatherRules.terrain
+  ).impactData;
+  for (const phenomenon of phenomena) {
+    if (phenomenon.impacts) {
+      impactData = { ...impactData, ...phenomenon.impacts };
+      nightImpactData = { ...nightImpactData, ...phenomenon.impacts };
     }
-  } else {
-    // Direct transition - use current epoch weather
-    condition = currentEpochWeather;
   }
 
-  const impactData = WEATHER_IMPACTS[condition] || {};
-  const impacts = formatImpacts(impactData);
-
-  const formattedDate = date.toLocaleDateString("en-US", {
-    month: "long",
-    day: "numeric",
-    timeZone: "UTC",
-  });
-  const dayOfWeek = date.toLocaleDateString("en-US", {
-    weekday: "long",
-    timeZone: "UTC",
-  });
+  // Night marching is ruled by the night condition
+  impactData.canNightMarch = nightImpactData.canNightMarch;
+  const impactList = getImpacts(impactData);
 
   return {
-    date: formattedDate,
-    dayOfWeek,
+    date: calendar.formatDate(date),
+    dayOfWeek: calendar.getDayOfWeek(date),
+    calendarDate: calendar.toCalendarDate(date),
     season,
+    seasonLabel,
+    seasonBlend,
+    yearCharacter,
     condition,
-    impacts,
+    nightCondition,
+    front,
+    override,
+    temperature,
+    wind,
+    impacts: impactList.map((impact) => impact.text),
+    impactList,
+    terrainEffects: terrain.effects,
+    impactData,
+    nightImpactData,
+    events,
+    phenomena,
+  };
+};
+
+// ----------------------
+// Forecast view of a day (regions with "forecastAccuracy", see forecastService)
+// Only what a forecaster knows is copied over: the date and season, the
+// guessed condition with its emoji and the forecast's accuracy. The true
+// night, front, temperature and wind, events and phenomena are left out, and
+// the impacts are those of the guessed condition in the region's terrain
+const toForecastDay = (
+  weather,
+  date,
+  seasonalWeatherConfig,
+  regionId,
+  ahead,
+  options
+) => {
+  const forecast = getForecast(
+    weather.condition,
+    seasonalWeatherConfig[weather.season],
+    date,
+    regionId,
+    ahead,
+    options.forecastAccuracy,
+    options.campaignSeed
+  );
+  const terrain = applyTerrain(
+    { ...WEATHER_IMPACTS[forecast.condition] },
+    forecast.condition,
+    options.terrain,
+    weatherRules.terrain
+  );
+  const impactData = terrain.impactData;
+  const impactList = getImpacts(impactData);
+  return {
+    date: weather.date,
+    dayOfWeek: weather.dayOfWeek,
+    calendarDate: weather.calendarDate,
+    season: weather.season,
+    seasonLabel: weather.seasonLabel,
+    yearCharacter: weather.yearCharacter,
+    condition: forecast.condition,
+    emoji: getWeatherEmoji(forecast.condition),
+    impacts: impactList.map((impact) => impact.text),
+    impactList,
+    terrainEffects: terrain.effects,
     impactData,
-    hasComet: false,
-    cometEvent: null,
+    forecast,
+  };
+};
+
+// ----------------------
+// River and crossing states for consecutive days (regions with "rivers", see
+// riverService). Each block of RIVER_BLOCK_DAYS days is carried forward in one
+// pass and memoized per region (and campaign seed, weather model), rivers,
+// weather config, context, events and overrides, so ledger orders and posts
+// on the same days share it. Weather already worked out for the range (or an
+// earlier block's pass) is reused rather than asked for again.
+// Crossings add to the weather's fording rule: canFordRivers is also false
+// while any of the region's rivers is flooded, and floodedRivers names them
+// for the impacts.
+const riverBlocks = new Map();
+
+function getRiverBlocks(seasonalWeatherConfig, regionId, options) {
+  const context = createContext(options);
+  const regionKey = `${options.model || "epoch"}:${getSeedKey(
+    regionId,
+    context
+  )}`;
+  let byRivers = riverBlocks.get(regionKey);
+  if (!byRivers) {
+    byRivers = new WeakMap();
+    riverBlocks.set(regionKey, byRivers);
+  }
+  // block number -> river states of each of its days
+  return getCacheEntry(
+    byRivers,
+    [
+      options.rivers,
+      ...getContextKeys(seasonalWeatherConfig, context),
+      options.events || DEFAULT_EVENT_CALENDAR,
+      options.overrides || NO_OVERRIDES,
+    ],
+    () => new Map()
+  );
+}
+
+const withRiverStates = (
+  days,
+  firstDate,
+  seasonalWeatherConfig,
+  regionId,
+  options
+) => {
+  if (!options.rivers || options.rivers.length === 0) return days;
+
+  const blocks = getRiverBlocks(seasonalWeatherConfig, regionId, options);
+  const firstDay = getDayNumber(firstDate);
+  const known = new Map(days.map((weather, i) => [firstDay + i, weather]));
+  const weatherOn = (day) => {
+    if (!known.has(day)) {
+      known.set(
+        day,
+        getWeatherForDate(
+          new Date(day * 86400000),
+          seasonalWeatherConfig,
+          regionId,
+          options
+        )
+      );
+    }
+    return known.get(day);
   };
+
+  return days.map((weather, i) => {
+    const day = firstDay + i;
+    const block = Math.floor(day / RIVER_BLOCK_DAYS);
+    if (!blocks.has(block)) {
+      const blockStart = block * RIVER_BLOCK_DAYS;
+      const weatherDays = [];
+      for (
+        let d = blockStart - RIVER_HISTORY_DAYS;
+        d < blockStart + RIVER_BLOCK_DAYS;
+        d++
+      ) {
+        weatherDays.push(weatherOn(d));
+      }
+      blocks.set(
+        block,
+        getRiverStates(options.rivers, weatherDays, RIVER_HISTORY_DAYS)
+      );
+    }
+    const rivers = blocks.get(block)[day - block * RIVER_BLOCK_DAYS];
+    const flooded = rivers.filter((river) => river.status === "flooded");
+    const impactData = {
+      ...weather.impactData,
+      canFordRivers: weather.impactData.canFordRivers && flooded.length === 0,
+      floodedRivers: flooded.map((river) => river.name).join(", "),
+    };
+    const impactList = getImpacts(impactData);
+    return {
+      ...weather,
+      impacts: impactList.map((impact) => impact.text),
+      impactList,
+      impactData,
+      rivers,
+    };
+  });
 };
 
 // ----------------------
 // Weekly forecast
-const getWeeklyForecast = (seasonalWeatherConfig, regionId = "default") => {
-  const today = new Date();
-  const forecast = [];
-  for (let i = 0; i < 7; i++) {
-    const d = new Date(
-      Date.UTC(
-        today.getUTCFullYear(),
-        today.getUTCMonth(),
-        today.getUTCDate() + i
-      )
+// Covers every in-game day that falls within the next seven real days
+// options.clock - campaign clock (see clockService), real time by default
+// options.forecastAccuracy - uncertain forecasts after the first day (see
+//   forecastService), exact by default
+// options.gm - true values even when forecastAccuracy is set (GM view)
+// Exact days carry their river states like daily posts; uncertain days
+// forecast the weather alone
+const getWeeklyForecast = (
+  seasonalWeatherConfig,
+  regionId = "default",
+  options = {}
+) => {
+  const clock = options.clock || REAL_TIME_CLOCK;
+  const gameDays = clock.getGameDays(new Date(), 7);
+  const days = withRiverStates(
+    gameDays.map((d) =>
+      getWeatherForDate(d, seasonalWeatherConfig, regionId, options)
+    ),
+    gameDays[0],
+    seasonalWeatherConfig,
+    regionId,
+    options
+  );
+  return days.map((weather, ahead) => {
+    if (!options.forecastAccuracy || options.gm || ahead === 0) return weather;
+    return toForecastDay(
+      weather,
+      gameDays[ahead],
+      seasonalWeatherConfig,
+      regionId,
+      ahead,
+      options
     );
-    forecast.push(getWeatherForDate(d, seasonalWeatherConfig, regionId));
-  }
-  return forecast;
+  });
+};
+
+// ----------------------
+// Current weather (the current in-game day), with its river states
+const getWeatherUpdate = (
+  seasonalWeatherConfig,
+  regionId = "default",
+  options = {}
+) => {
+  const clock = options.clock || REAL_TIME_CLOCK;
+  const date = clock.getGameDay(new Date());
+  const [weather] = withRiverStates(
+    [getWeatherForDate(date, seasonalWeatherConfig, regionId, options)],
+    date,
+    seasonalWeatherConfig,
+    regionId,
+    options
+  );
+  return weather;
 };
 
 // ----------------------
-// Current weather
-const getWeatherUpdate = (seasonalWeatherConfig, regionId = "default") => {
-  return getWeatherForDate(new Date(), seasonalWeatherConfig, regionId);
+// Weather for every in-game day that falls within today (real UTC day)
+// With a faster campaign clock a single daily post covers several days
+const getDailyWeatherUpdates = (
+  seasonalWeatherConfig,
+  regionId = "default",
+  options = {}
+) => {
+  const clock = options.clock || REAL_TIME_CLOCK;
+  const gameDays = clock.getGameDays(new Date(), 1);
+  return withRiverStates(
+    gameDays.map((d) =>
+      getWeatherForDate(d, seasonalWeatherConfig, regionId, options)
+    ),
+    gameDays[0],
+    seasonalWeatherConfig,
+    regionId,
+    options
+  );
+};
+
+// ----------------------
+// Weather for every in-game day from startDate to endDate (inclusive)
+// For looking back at past weather as well as ahead; overrides apply, and
+// days carry their river states when the region has rivers
+const getWeatherForRange = (
+  seasonalWeatherConfig,
+  regionId = "default",
+  startDate,
+  endDate,
+  options = {}
+) => {
+  const days = [];
+  for (let day = getDayNumber(startDate); day <= getDayNumber(endDate); day++) {
+    days.push(
+      getWeatherForDate(
+        new Date(day * 86400000),
+        seasonalWeatherConfig,
+        regionId,
+        options
+      )
+    );
+  }
+  return withRiverStates(
+    days,
+    startDate,
+    seasonalWeatherConfig,
+    regionId,
+    options
+  );
 };
 
 // ----------------------
 // Regional helpers
+// Campaign-wide settings travel on the region config built by config.js
+const getRegionalOptions = (regionConfig) => ({
+  model: regionConfig.weatherModel,
+  calendar: regionConfig.calendar,
+  clock: regionConfig.clock,
+  events: regionConfig.events,
+  phenomena: regionConfig.phenomena,
+  fronts: regionConfig.fronts,
+  seasonBlendDays: regionConfig.seasonBlendDays,
+  yearlyVariation: regionConfig.yearlyVariation,
+  overrides: regionConfig.overrides,
+  forecastAccuracy: regionConfig.forecastAccuracy,
+  campaignSeed: regionConfig.campaignSeed,
+  terrain: regionConfig.terrain,
+  rivers: regionConfig.rivers,
+});
 const getRegionalWeatherUpdate = (regionConfig) =>
-  getWeatherUpdate(regionConfig.seasonalWeather, regionConfig.id);
-const getRegionalWeeklyForecast = (regionConfig) =>
-  getWeeklyForecast(regionConfig.seasonalWeather, regionConfig.id);
+  getWeatherUpdate(
+    regionConfig.seasonalWeather,
+    regionConfig.id,
+    getRegionalOptions(regionConfig)
+  );
+const getRegionalDailyWeatherUpdates = (regionConfig) =>
+  getDailyWeatherUpdates(
+    regionConfig.seasonalWeather,
+    regionConfig.id,
+    getRegionalOptions(regionConfig)
+  );
+const getRegionalWeatherForRange = (regionConfig, startDate, endDate) =>
+  getWeatherForRange(
+    regionConfig.seasonalWeather,
+    regionConfig.id,
+    startDate,
+    endDate,
+    getRegionalOptions(regionConfig)
+  );
+// view.gm - true values instead of the region's uncertain forecast
+const getRegionalWeeklyForecast = (regionConfig, view = {}) =>
+  getWeeklyForecast(regionConfig.seasonalWeather, regionConfig.id, {
+    ...getRegionalOptions(regionConfig),
+    gm: !!view.gm,
+  });
 
 // ----------------------
-// Weather emojis
+// Weather emojis, from the weather rules file
 const getWeatherEmoji = (condition, isNight = false) => {
-  switch (condition) {
-    case Weather.CLEAR_SKIES:
-      return isNight ? "🌙" : "☀️";
-    case Weather.LIGHT_RAIN:
-      return "🌦️";
-    case Weather.HEAVY_RAIN:
-      return "🌧️";
-    case Weather.STORM:
-      return "⛈️";
-    case Weather.HOT:
-      return "🔥";
-    case Weather.HEATWAVE:
-      return "🔥";
-    case Weather.SNOW:
-      return "❄️";
-    case Weather.BLIZZARD:
-      return "❄️";
-    case Weather.FOG:
-      return "🌫️";
-    default:
-      return "🌤️"; // fallback for unknown condition
-  }
+  const emoji = isNight ? weatherRules.nightEmoji : weatherRules.emoji;
+  return emoji[condition] || "🌤️"; // fallback for unknown condition
 };
 
 // ----------------------
@@ -727,13 +1336,18 @@ module.exports = {
   Weather,
   ALL_WEATHER_TYPES,
   getWeatherUpdate,
+  getDailyWeatherUpdates,
   getWeeklyForecast,
   getWeatherForDate,
+  getWeatherForRange,
   getWeatherEmoji,
   getRegionalWeatherUpdate,
+  getRegionalDailyWeatherUpdates,
   getRegionalWeeklyForecast,
+  getRegionalWeatherForRange,
   WEATHER_IMPACTS,
-  isCometDate,
-  getCometEventInfo,
-  COMET_DATE,
+  TRANSITION_PATHS,
+  WEATHER_MODELS,
+  MIN_EPOCH_LENGTH,
+  MAX_EPOCH_LENGTH,
 };
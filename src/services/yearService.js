@@ -0,0 +1,245 @@
+const {
+  seededRandom,
+  hashRegion,
+  withCampaignSeed,
+} = require("../utils/random");
+
+/**
+ * Year Service
+ * Yearly climate variation: each year a region opted in with
+ * "yearlyVariation" may get a character (drought, wet year, harsh winter,
+ * mild winter) that scales its condition weights for the whole year. The
+ * character is seeded from the year and region, so every run agrees.
+ *
+ * "yearlyVariation": { "strength": 1, "chance": 0.5, "characters": [...] }
+ *
+ * - strength: how far weights can move (0 = none, 1 = the multipliers below)
+ * - chance: share of years with a character; the rest are ordinary years
+ * - characters: which characters may occur (all by default)
+ *
+ * A year covers the seasons that begin in it, so a harsh winter that starts
+ * in December lasts through to spring.
+ */
+
+const MS_PER_DAY = 86400000;
+const SEASONS = ["spring", "summer", "autumn", "winter"];
+
+const DEFAULT_STRENGTH = 1;
+const DEFAULT_CHANCE = 0.5;
+
+// Weight multipliers at full strength; conditions not listed keep their weight
+const YEAR_CHARACTERS = Object.freeze({
+  drought: {
+    label: "Drought",
+    emoji: "🏜️",
+    description: "Rain is scarce this year and rivers run low",
+    seasons: SEASONS,
+    multipliers: {
+      "Clear Skies": 2,
+      Hot: 2,
+      Heatwave: 3,
+      "Light Rain": 0.5,
+      "Heavy Rain": 0.25,
+      Storm: 0.5,
+      Fog: 0.5,
+      Snow: 0.5,
+      Blizzard: 0.5,
+    },
+  },
+  "wet year": {
+    label: "Wet year",
+    emoji: "🌧️",
+    description: "Rain comes often this year and the ground rarely dries",
+    seasons: SEASONS,
+    multipliers: {
+      "Light Rain": 1.5,
+      "Heavy Rain": 2.5,
+      Storm: 2,
+      Fog: 1.5,
+      "Clear Skies": 0.5,
+      Hot: 0.5,
+      Heatwave: 0.25,
+    },
+  },
+  "harsh winter": {
+    label: "Harsh winter",
+    emoji: "🥶",
+    description: "This winter comes in hard, with deep snow and blizzards",
+    seasons: ["winter"],
+    multipliers: {
+      Snow: 2,
+      Blizzard: 3,
+      "Clear Skies": 0.75,
+      "Light Rain": 0.5,
+      "Heavy Rain": 0.5,
+    },
+  },
+  "mild winter": {
+    label: "Mild winter",
+    emoji: "🌤️",
+    description: "This winter is soft, with more rain than snow",
+    seasons: ["winter"],
+    multipliers: {
+      Snow: 0.4,
+      Blizzard: 0.2,
+      "Light Rain": 1.5,
+      "Clear Skies": 1.5,
+      Fog: 1.5,
+    },
+  },
+});
+
+/**
+ * Validate a region's "yearlyVariation" setting
+ * @param {object} setting - { strength?, chance?, characters? }
+ * @param {string} label - Prefix for error messages
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateYearlyVariation(setting, label) {
+  if (!setting || typeof setting !== "object" || Array.isArray(setting)) {
+    return [`${label} must be an object`];
+  }
+
+  const errors = [];
+  if (
+    setting.strength !== undefined &&
+    !(typeof setting.strength === "number" && setting.strength >= 0)
+  ) {
+    errors.push(`${label} strength must be a number of 0 or more`);
+  }
+  if (
+    setting.chance !== undefined &&
+    !(
+      typeof setting.chance === "number" &&
+      setting.chance >= 0 &&
+      setting.chance <= 1
+    )
+  ) {
+    errors.push(`${label} chance must be between 0 and 1`);
+  }
+  if (setting.characters !== undefined) {
+    if (!Array.isArray(setting.characters)) {
+      errors.push(`${label} characters must be an array`);
+    } else {
+      for (const name of setting.characters) {
+        if (!YEAR_CHARACTERS[name]) {
+          errors.push(
+            `${label} has unknown character '${name}' (expected one of: ${Object.keys(
+              YEAR_CHARACTERS
+            ).join(", ")})`
+          );
+        }
+      }
+    }
+  }
+  return errors;
+}
+
+// Climate year of every day in the seasons walked so far, per calendar
+const climateYears = new WeakMap();
+
+/**
+ * Year a date's climate belongs to: the year its current season began in
+ * @param {Date} date - In-game date
+ * @param {object} calendar - Campaign calendar
+ * @returns {number} Climate year
+ */
+function getClimateYear(date, calendar) {
+  const day = Math.floor(date.getTime() / MS_PER_DAY);
+  let years = climateYears.get(calendar);
+  if (!years) {
+    years = new Map();
+    climateYears.set(calendar, years);
+  }
+  if (years.has(day)) return years.get(day);
+
+  // Walk out to the first and last days of the season (a year at most each
+  // way); every day of it shares the year the season began in
+  const season = calendar.getSeason(date);
+  const inSeason = (d) =>
+    calendar.getSeason(new Date(d * MS_PER_DAY)) === season;
+  let start = day;
+  while (start > day - 366 && inSeason(start - 1)) start--;
+  let end = day;
+  while (end < day + 366 && inSeason(end + 1)) end++;
+
+  const year = calendar.toCalendarDate(new Date(start * MS_PER_DAY)).year;
+  if (start === day - 366 || end === day + 366) {
+    // A season longer than the walk: only this day's start is known
+    years.set(day, year);
+  } else {
+    for (let d = start; d <= end; d++) years.set(d, year);
+  }
+  return year;
+}
+
+/**
+ * Character of a region's year, if it has one
+ * @param {Date} date - In-game date
+ * @param {string} regionId - Region ID
+ * @param {object} calendar - Campaign calendar
+ * @param {object|undefined} setting - Region's "yearlyVariation" (off if undefined)
+ * @param {string|number} [campaignSeed] - Campaign seed (see random.js)
+ * @returns {object|null} { name, label, emoji, description, year, severity, seasons, multipliers }
+ */
+function getYearCharacter(date, regionId, calendar, setting, campaignSeed) {
+  if (!setting) return null;
+
+  const year = getClimateYear(date, calendar);
+  const rng = seededRandom(
+    year * 7907 + hashRegion(withCampaignSeed(`${regionId}:year`, campaignSeed))
+  );
+  if (rng() >= (setting.chance ?? DEFAULT_CHANCE)) return null;
+
+  const names = setting.characters || Object.keys(YEAR_CHARACTERS);
+  if (names.length === 0) return null;
+  const name = names[Math.floor(rng() * names.length)];
+
+  // Each year lands between half and full strength
+  const severity = (setting.strength ?? DEFAULT_STRENGTH) * (0.5 + rng() / 2);
+  return { name, ...YEAR_CHARACTERS[name], year, severity };
+}
+
+// Scale a weighted table by the character's multipliers
+function scaleTable(entries, multipliers, severity) {
+  return entries.map((entry) => {
+    const { result, weight } =
+      typeof entry === "string"
+        ? { result: entry, weight: 1 }
+        : { result: entry.result, weight: entry.weight ?? 1 };
+    const multiplier = multipliers[result] ?? 1;
+    return { result, weight: weight * multiplier ** severity };
+  });
+}
+
+/**
+ * Season table with a year character's weights applied
+ * @param {object} seasonData - Region's season table ({ conditions, matrix? })
+ * @param {string} season - Season the table belongs to
+ * @param {object|null} character - From getYearCharacter
+ * @returns {object} Scaled season table (the same table if unaffected)
+ */
+function applyYearCharacter(seasonData, season, character) {
+  if (!character || !character.seasons.includes(season)) return seasonData;
+
+  const { multipliers, severity } = character;
+  const scaled = {
+    ...seasonData,
+    conditions: scaleTable(seasonData.conditions, multipliers, severity),
+  };
+  if (seasonData.matrix) {
+    scaled.matrix = {};
+    for (const [condition, row] of Object.entries(seasonData.matrix)) {
+      scaled.matrix[condition] = scaleTable(row, multipliers, severity);
+    }
+  }
+  return scaled;
+}
+
+module.exports = {
+  YEAR_CHARACTERS,
+  validateYearlyVariation,
+  getClimateYear,
+  getYearCharacter,
+  applyYearCharacter,
+};
@@ -0,0 +1,33 @@
+/**
+ * Command-line flag parsing shared by the tools (overrides.js, weather-history.js)
+ */
+
+/**
+ * Parse "--name value" pairs, and "--name" alone for switches
+ * @param {Array<string>} args - Arguments after the command
+ * @param {Array<string>} [switches] - Flag names that take no value
+ * @returns {object} Flag name -> value (true for switches)
+ * @throws {Error} On a bare argument or a flag missing its value
+ */
+function parseFlags(args, switches = []) {
+  const flags = {};
+  for (let i = 0; i < args.length; i++) {
+    if (!args[i].startsWith("--")) {
+      throw new Error(`Unexpected argument '${args[i]}'`);
+    }
+    const name = args[i].slice(2);
+    if (switches.includes(name)) {
+      flags[name] = true;
+      continue;
+    }
+    if (args[i + 1] === undefined || args[i + 1].startsWith("--")) {
+      throw new Error(`Missing value for ${args[i]}`);
+    }
+    flags[name] = args[++i];
+  }
+  return flags;
+}
+
+module.exports = {
+  parseFlags,
+};
@@ -0,0 +1,196 @@
+const { getWeatherEmoji } = require("../services/weatherService");
+
+/**
+ * Message formatting shared by the daily and weekly webhooks
+ */
+
+/**
+ * Capitalize the first letter of a string (e.g. season names)
+ * @param {string} text - Text to capitalize
+ * @returns {string} Capitalized text
+ */
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Format a special event banner
+ * @param {object} event - Active event from getWeatherForDate
+ * @returns {string} Message lines for the event
+ */
+function formatEvent(event) {
+  let content = `\n`;
+  content += `${event.emoji}✨ **${event.label}: ${event.name}** ✨${event.emoji}\n`;
+  if (event.description) {
+    content += `\n`;
+    content += `*${event.description}*\n`;
+  }
+  if (event.effect) {
+    content += `\n`;
+    content += `🌟 **Effect:** ${event.effect}\n`;
+  }
+  return content;
+}
+
+/**
+ * Format a rare phenomenon line
+ * @param {object} phenomenon - Phenomenon from getWeatherForDate
+ * @returns {string} Message lines for the phenomenon
+ */
+function formatPhenomenon(phenomenon) {
+  let content = `${phenomenon.emoji} **${phenomenon.name}**`;
+  if (phenomenon.description) {
+    content += ` - *${phenomenon.description}*`;
+  }
+  content += `\n`;
+  if (phenomenon.effect) {
+    content += `🌟 **Effect:** ${phenomenon.effect}\n`;
+  }
+  return content;
+}
+
+/**
+ * Format a weather front moving in from a neighbouring region
+ * @param {object} front - Front from getWeatherForDate
+ * @returns {string} Message line for the front
+ */
+function formatFront(front) {
+  return `🌬️ *${front.label} moving in from ${front.from}*\n`;
+}
+
+/**
+ * Format the character of a region's year (drought, harsh winter, ...)
+ * @param {object} character - yearCharacter from getWeatherForDate
+ * @returns {string} Message line for the year
+ */
+function formatYearCharacter(character) {
+  return `${character.emoji} **${character.label}** - *${character.description}*\n`;
+}
+
+/**
+ * Format a terrain effect line (regions with "terrain")
+ * @param {object} effect - Entry of terrainEffects from getWeatherForDate
+ * @returns {string} Message line for the effect
+ */
+function formatTerrainEffect(effect) {
+  return `${effect.emoji} **${effect.label}:** ${effect.text}\n`;
+}
+
+const RIVER_STATUS_EMOJI = { fordable: "✅", flooded: "🌊", frozen: "🧊" };
+
+/**
+ * Format a river's crossings line (regions with "rivers")
+ * @param {object} river - Entry of rivers from getRegionalDailyWeatherUpdates
+ * @returns {string} Message line for the river
+ */
+function formatRiver(river) {
+  const crossings =
+    river.crossings.length > 0 ? `${river.crossings.join(", ")} ` : "";
+  return `${RIVER_STATUS_EMOJI[river.status]} **${river.name}:** ${crossings}${river.status}\n`;
+}
+
+/**
+ * Format a morale effect on an army
+ * @param {object} effect - Morale effect from getMoraleEffects
+ * @returns {string} One line, without a newline
+ */
+function formatMoraleEffect(effect) {
+  const icon = effect.check ? "🎲" : effect.change < 0 ? "📉" : "📈";
+  return `${icon} ${effect.text} (${effect.source})`;
+}
+
+/**
+ * Format the weather line of a weekly forecast day
+ * Uncertain forecast days show the forecaster's guess, or the chances
+ * @param {object} weather - Day from getWeeklyForecast
+ * @returns {string} Message line for the day's weather
+ */
+function formatForecastWeather(weather) {
+  const { forecast } = weather;
+  if (forecast && forecast.mode === "spread") {
+    const chances = forecast.spread
+      .map(
+        ({ condition, chance }) => `${Math.round(chance * 100)}% ${condition}`
+      )
+      .join(", ");
+    return `🎲 Forecast: ${chances}\n`;
+  }
+  return `${getWeatherEmoji(weather.condition, false)} Weather: ${
+    weather.condition
+  }${forecast ? " *(forecast)*" : ""}\n`;
+}
+
+/**
+ * Format one in-game day of weather for the daily post
+ * @param {object} weather - Result of getWeatherForDate
+ * @returns {string} Message lines for that day
+ */
+function formatDayWeather(weather) {
+  let content =
+    `**Date:** ${weather.date}\n` +
+    `**Season:** ${capitalize(weather.seasonLabel || weather.season)}\n`;
+
+  if (weather.yearCharacter) {
+    content += `**Year:** ${formatYearCharacter(weather.yearCharacter)}`;
+  }
+
+  content += `${getWeatherEmoji(weather.condition, false)} **Day:** ${
+    weather.condition
+  }\n`;
+
+  if (weather.nightCondition) {
+    content += `${getWeatherEmoji(weather.nightCondition, true)} **Night:** ${
+      weather.nightCondition
+    }\n`;
+  }
+
+  if (weather.front) {
+    content += formatFront(weather.front);
+  }
+
+  if (weather.temperature) {
+    content += `🌡️ **Temperature:** ${weather.temperature} · 💨 **Wind:** ${weather.wind}\n`;
+  }
+
+  // Add mechanical impacts if any
+  if (Array.isArray(weather.impacts) && weather.impacts.length > 0) {
+    weather.impacts.forEach((impact) => {
+      content += `⚠️ ${impact}\n`;
+    });
+  }
+
+  // Add terrain effects, named apart from the general impacts
+  (weather.terrainEffects || []).forEach((effect) => {
+    if (effect.text) content += formatTerrainEffect(effect);
+  });
+
+  // Add river crossings, fordable, flooded or frozen
+  (weather.rivers || []).forEach((river) => {
+    content += formatRiver(river);
+  });
+
+  // Add rare phenomena if any
+  (weather.phenomena || []).forEach((phenomenon) => {
+    content += formatPhenomenon(phenomenon);
+  });
+
+  // Add special events if any
+  (weather.events || []).forEach((event) => {
+    content += formatEvent(event);
+  });
+
+  return content;
+}
+
+module.exports = {
+  capitalize,
+  formatEvent,
+  formatPhenomenon,
+  formatFront,
+  formatYearCharacter,
+  formatTerrainEffect,
+  formatRiver,
+  formatMoraleEffect,
+  formatForecastWeather,
+  formatDayWeather,
+};
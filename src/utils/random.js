@@ -0,0 +1,44 @@
+// ----------------------
+// Simple seeded random number generator (Mulberry32)
+// Ensures deterministic weather per date + region
+function seededRandom(seed) {
+  let a = seed ^ 0xdeadbeef;
+  return function () {
+    a |= 0;
+    a = (a + 0x7f4a7c15) | 0;
+    let t = Math.imul(a ^ (a >>> 13), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 9), 61 | t)) ^ t;
+    return ((t ^ (t >>> 11)) >>> 0) / 4294967296;
+  };
+}
+
+// ----------------------
+// Hash a region ID to a numeric value
+function hashRegion(regionId) {
+  let hash = 0;
+  for (let i = 0; i < regionId.length; i++) {
+    hash = ((hash << 5) - hash + regionId.charCodeAt(i)) & 0xffffffff;
+  }
+  return Math.abs(hash);
+}
+
+// ----------------------
+// Mix the campaign seed into a region key before hashing
+// Without a seed the key is unchanged, so campaigns that never set one keep
+// exactly the weather they always had
+function withCampaignSeed(key, campaignSeed) {
+  if (
+    campaignSeed === undefined ||
+    campaignSeed === null ||
+    campaignSeed === ""
+  ) {
+    return key;
+  }
+  return `${campaignSeed}:${key}`;
+}
+
+module.exports = {
+  seededRandom,
+  hashRegion,
+  withCampaignSeed,
+};
@@ -0,0 +1,75 @@
+/**
+ * Table rendering for the tools' reports (text, markdown, HTML)
+ * Cells are strings; callers format numbers and flags first.
+ */
+
+/**
+ * Aligned text table, columns padded to their widest cell
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array<string>>} rows - Cells per row
+ * @returns {string} Table text, one line per row
+ */
+function formatTextTable(headers, rows) {
+  const lines = [headers, ...rows];
+  const widths = headers.map((_, i) =>
+    Math.max(...lines.map((line) => line[i].length))
+  );
+  return lines
+    .map((line) =>
+      line
+        .map((cell, i) => cell.padEnd(widths[i]))
+        .join("  ")
+        .trimEnd()
+    )
+    .join("\n");
+}
+
+/**
+ * Markdown (GitHub-flavoured) table
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array<string>>} rows - Cells per row
+ * @returns {string} Markdown table
+ */
+function formatMarkdownTable(headers, rows) {
+  const line = (cells) =>
+    `| ${cells.map((cell) => cell.replace(/\|/g, "\\|")).join(" | ")} |`;
+  return [
+    line(headers),
+    line(headers.map(() => "---")),
+    ...rows.map(line),
+  ].join("\n");
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * HTML table
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array<string>>} rows - Cells per row
+ * @returns {string} HTML table element
+ */
+function formatHtmlTable(headers, rows) {
+  const row = (cells, tag) =>
+    `<tr>${cells.map((cell) => `<${tag}>${escapeHtml(cell)}</${tag}>`).join("")}</tr>`;
+  return [
+    "<table>",
+    `<thead>${row(headers, "th")}</thead>`,
+    "<tbody>",
+    ...rows.map((cells) => row(cells, "td")),
+    "</tbody>",
+    "</table>",
+  ].join("\n");
+}
+
+module.exports = {
+  formatTextTable,
+  formatMarkdownTable,
+  formatHtmlTable,
+  escapeHtml,
+};
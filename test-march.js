@@ -0,0 +1,126 @@
+const fs = require("fs");
+const path = require("path");
+const { planMarch } = require("./src/services/marchService");
+const { weatherRules } = require("./src/config/weatherRules");
+const { logger } = require("./src/utils/logger");
+
+const EXAMPLE_REGIONS_PATH = path.join(
+  __dirname,
+  "src",
+  "config",
+  "regions-example.json"
+);
+
+const START_DATE = "2026-12-01";
+const DAYS = 60;
+
+/**
+ * Plan the same winter march in the example region as day, forced and night
+ * marches, and check each day of the forced and night plans against the day
+ * march: a forced march goes forcedMarchMult times as far, or is downgraded
+ * to a day march when the weather forbids it, and a forbidden night march is
+ * downgraded to rest
+ * @returns {number} Exit code: 0 if every day plans as expected
+ */
+function testMarchPlanning() {
+  logger.info("TEST: Checking march distances and downgraded days");
+
+  const { regions } = JSON.parse(fs.readFileSync(EXAMPLE_REGIONS_PATH, "utf8"));
+  const regionConfig = { ...regions["Example Region"], id: "Example Region" };
+  const plan = (march, travel, forcedMarchMult) =>
+    planMarch({
+      startDate: START_DATE,
+      forcedMarchMult,
+      legs: [{ regionConfig, days: DAYS, march, travel }],
+    });
+
+  const failures = [];
+  const seen = new Set();
+  const dayMarch = plan("day", "road");
+
+  for (const mult of [weatherRules.forcedMarchMult, 2]) {
+    const forced = plan("forced", "road", mult);
+    forced.days.forEach((day, index) => {
+      const label = `Forced march (x${mult}) ${day.date}`;
+      const base = dayMarch.days[index];
+      if (day.march === "forced") {
+        seen.add("forced");
+        if (Math.abs(day.miles - base.miles * mult) > 0.1) {
+          failures.push(
+            `${label}: ${day.miles} miles, expected ${base.miles} x ${mult}`
+          );
+        }
+      } else if (day.downgrade === "Forced march downgraded to day march") {
+        seen.add("downgraded to day march");
+        if (day.miles !== base.miles || day.blocked.length === 0) {
+          failures.push(`${label}: downgraded day differs from a day march`);
+        }
+      } else if (day.march !== "rest" || base.march !== "rest") {
+        failures.push(`${label}: planned ${day.march} (${day.downgrade})`);
+      }
+    });
+
+    const total = Math.round(
+      forced.days.reduce((sum, day) => sum + day.miles, 0) * 10
+    );
+    if (total !== Math.round(forced.totalMiles * 10)) {
+      failures.push(`Forced march (x${mult}): total is not the days' sum`);
+    }
+  }
+
+  const night = plan("night", "off-road");
+  night.days.forEach((day) => {
+    const label = `Night march ${day.date}`;
+    if (day.march === "night") {
+      seen.add("night");
+      if (!(day.miles > 0) || day.downgrade !== null) {
+        failures.push(`${label}: ${day.miles} miles (${day.downgrade})`);
+      }
+    } else if (day.downgrade === "Night march downgraded to rest") {
+      seen.add("downgraded to rest");
+      if (day.miles !== 0 || day.blocked.length === 0) {
+        failures.push(`${label}: rest day has ${day.miles} miles`);
+      }
+    } else {
+      failures.push(`${label}: planned ${day.march} (${day.downgrade})`);
+    }
+  });
+
+  // The route must exercise every case for the checks above to mean much
+  for (const kind of [
+    "forced",
+    "downgraded to day march",
+    "night",
+    "downgraded to rest",
+  ]) {
+    if (!seen.has(kind)) {
+      failures.push(`No ${kind} day in the ${DAYS} days from ${START_DATE}`);
+    }
+  }
+
+  if (failures.length > 0) {
+    failures.forEach((failure) => console.error(`❌ ${failure}`));
+    console.error(`❌ TEST: ${failures.length} march planning failure(s)`);
+    return 1;
+  }
+
+  console.log(
+    `✅ TEST: Forced and night marches plan as expected over ${DAYS} days`
+  );
+  return 0;
+}
+
+// If this script is run directly
+if (require.main === module) {
+  try {
+    process.exit(testMarchPlanning());
+  } catch (error) {
+    logger.error(`TEST: Failed to check march planning: ${error.message}`);
+    console.error("❌ TEST: Failed to check march planning:", error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  testMarchPlanning,
+};
@@ -0,0 +1,98 @@
+const fs = require("fs");
+const path = require("path");
+const { buildMoraleLedger } = require("./src/services/moraleLedger");
+const { logger } = require("./src/utils/logger");
+
+const EXAMPLE_REGIONS_PATH = path.join(
+  __dirname,
+  "src",
+  "config",
+  "regions-example.json"
+);
+
+/**
+ * Build a ledger where one army has an order for an unknown region and one
+ * whose weather fails, and check that both are reported under the army while
+ * its other orders still count, in date order, towards its totals
+ * @returns {number} Exit code: 0 if the ledger carries on past the failures
+ */
+function testLedgerAfterFailedOrders() {
+  logger.info("TEST: Checking the morale ledger past failed orders");
+
+  const { regions } = JSON.parse(fs.readFileSync(EXAMPLE_REGIONS_PATH, "utf8"));
+  const regionConfig = { ...regions["Example Region"], id: "Example Region" };
+  // A season table with no conditions cannot roll any weather
+  const broken = {
+    id: "Broken Region",
+    seasonalWeather: { spring: { conditions: [] } },
+  };
+
+  const ledger = buildMoraleLedger([
+    { army: "North", date: "2026-05-13", regionConfig, action: "day" },
+    {
+      army: "North",
+      date: "2026-05-12",
+      regionConfig: null,
+      action: "rest",
+      error: "Region 'Nowhere' not found",
+    },
+    { army: "North", date: "2026-05-15", regionConfig: broken, action: "day" },
+    { army: "North", date: "2026-05-14", regionConfig, action: "rest" },
+    { army: "South", date: "2026-05-14", regionConfig, action: "rest" },
+  ]);
+
+  const failures = [];
+  const [north, south] = ledger.armies;
+  if (!north || !south || ledger.armies.length !== 2) {
+    failures.push(`Expected 2 armies, got ${ledger.armies.length}`);
+  } else {
+    const dates = north.days.map((day) => day.date).join(", ");
+    if (dates !== "2026-05-13, 2026-05-14") {
+      failures.push(`North has days ${dates || "none"}`);
+    }
+    if (
+      north.errors.length !== 2 ||
+      !north.errors[0].startsWith("2026-05-12: Region 'Nowhere'") ||
+      !north.errors[1].startsWith("2026-05-15: ")
+    ) {
+      failures.push(`North errors: ${north.errors.join("; ") || "none"}`);
+    }
+    const change = north.days.reduce((sum, day) => sum + day.change, 0);
+    const checks = north.days.reduce((sum, day) => sum + day.checks, 0);
+    if (north.change !== change || north.checks !== checks) {
+      failures.push("North totals are not the sum of its days");
+    }
+    // The same order after the failures counts like another army's
+    const after = north.days.find((day) => day.date === "2026-05-14");
+    if (!after || after.change !== south.days[0].change) {
+      failures.push("North's order after the failures lost its morale");
+    }
+    if (south.errors.length !== 0 || south.days.length !== 1) {
+      failures.push("South was affected by North's failed orders");
+    }
+  }
+
+  if (failures.length > 0) {
+    failures.forEach((failure) => console.error(`❌ ${failure}`));
+    console.error(`❌ TEST: ${failures.length} morale ledger failure(s)`);
+    return 1;
+  }
+
+  console.log("✅ TEST: Morale ledger carries on past failed orders");
+  return 0;
+}
+
+// If this script is run directly
+if (require.main === module) {
+  try {
+    process.exit(testLedgerAfterFailedOrders());
+  } catch (error) {
+    logger.error(`TEST: Failed to check the morale ledger: ${error.message}`);
+    console.error("❌ TEST: Failed to check the morale ledger:", error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  testLedgerAfterFailedOrders,
+};
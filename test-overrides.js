@@ -0,0 +1,107 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  getRegionalWeatherForRange,
+  TRANSITION_PATHS,
+} = require("./src/services/weatherService");
+const { createOverrides } = require("./src/services/overrideService");
+const { isDirectTransition } = require("./src/services/transitionAnalyzer");
+const { logger } = require("./src/utils/logger");
+
+const EXAMPLE_REGIONS_PATH = path.join(
+  __dirname,
+  "src",
+  "config",
+  "regions-example.json"
+);
+
+const MS_PER_DAY = 86400000;
+const RECOVERY_DAYS = 7;
+const FORCED_WEATHER = ["Blizzard", "Heatwave", "Storm", "Fog"];
+
+/**
+ * Force a day's weather in the example region across a year of dates and
+ * check that the region recovers: the forced day takes the override, and
+ * every day after it is a legal step up to and including the day the
+ * scheduled weather is reached, within RECOVERY_DAYS days
+ * @returns {number} Exit code: 0 if every override recovers
+ */
+function testOverrideRecovery() {
+  logger.info("TEST: Checking weather recovery after GM overrides");
+
+  const { regions } = JSON.parse(fs.readFileSync(EXAMPLE_REGIONS_PATH, "utf8"));
+  const region = { ...regions["Example Region"], id: "Example Region" };
+
+  const failures = [];
+  let checked = 0;
+  for (const weather of FORCED_WEATHER) {
+    for (
+      let time = Date.UTC(2026, 0, 3);
+      time < Date.UTC(2027, 0, 1);
+      time += 9 * MS_PER_DAY
+    ) {
+      const date = new Date(time).toISOString().slice(0, 10);
+      const label = `${weather} on ${date}`;
+      const overrides = createOverrides([
+        { id: 1, region: region.id, startDate: date, weather },
+      ]);
+      const start = new Date(time - MS_PER_DAY);
+      const end = new Date(time + (RECOVERY_DAYS + 1) * MS_PER_DAY);
+      const forced = getRegionalWeatherForRange(
+        { ...region, overrides },
+        start,
+        end
+      );
+      const scheduled = getRegionalWeatherForRange(region, start, end);
+      checked++;
+
+      if (forced[1].condition !== weather || !forced[1].override) {
+        failures.push(`${label}: got ${forced[1].condition}`);
+        continue;
+      }
+
+      let recovered = false;
+      for (let i = 2; i <= RECOVERY_DAYS + 1 && !recovered; i++) {
+        const from = forced[i - 1].condition;
+        const to = forced[i].condition;
+        recovered = to === scheduled[i].condition;
+        if (!isDirectTransition(TRANSITION_PATHS, from, to)) {
+          failures.push(`${label}: day ${i - 1} jumps from ${from} to ${to}`);
+        }
+      }
+      if (!recovered) {
+        failures.push(`${label}: not back within ${RECOVERY_DAYS} days`);
+      }
+      const after = RECOVERY_DAYS + 2;
+      if (forced[after].condition !== scheduled[after].condition) {
+        failures.push(`${label}: still off its weather after recovery`);
+      }
+    }
+  }
+
+  if (failures.length > 0) {
+    failures.forEach((failure) => console.error(`❌ ${failure}`));
+    console.error(
+      `❌ TEST: ${failures.length} override recovery failure(s) in ${checked} overrides`
+    );
+    return 1;
+  }
+
+  console.log(`✅ TEST: ${checked} overrides recover legally`);
+  return 0;
+}
+
+// If this script is run directly
+if (require.main === module) {
+  try {
+    process.exit(testOverrideRecovery());
+  } catch (error) {
+    logger.error(`TEST: Failed to check overrides: ${error.message}`);
+    console.error("❌ TEST: Failed to check overrides:", error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  testOverrideRecovery,
+};
@@ -0,0 +1,194 @@
+const fs = require("fs");
+const path = require("path");
+const { getRegionalWeatherForRange } = require("./src/services/weatherService");
+const { RIVER_BLOCK_DAYS } = require("./src/services/riverService");
+const { logger } = require("./src/utils/logger");
+
+const EXAMPLE_REGIONS_PATH = path.join(
+  __dirname,
+  "src",
+  "config",
+  "regions-example.json"
+);
+
+const MS_PER_DAY = 86400000;
+const RISE = { "Heavy Rain": 1, Storm: 2 };
+const DRAIN_DAYS = 2;
+
+const dayNumber = (date) => Math.floor(Date.parse(date) / MS_PER_DAY);
+
+function loadExampleRegion() {
+  const { regions } = JSON.parse(fs.readFileSync(EXAMPLE_REGIONS_PATH, "utf8"));
+  return { ...regions["Example Region"], id: "Example Region" };
+}
+
+/**
+ * Follow a rain-fed river (no snowmelt or ice) through 2026 and check that
+ * it floods on rainy days and drains one level per DRAIN_DAYS dry days,
+ * carried across the RIVER_BLOCK_DAYS blocks, and that a day asked for on
+ * its own gets the same state as in the year's range
+ * @param {Array<string>} failures - Failures are added here
+ */
+function checkFloodAndRecede(failures) {
+  const region = loadExampleRegion();
+  const river = {
+    name: "River Dun",
+    crossings: ["Old Mill Ford"],
+    rise: RISE,
+    drainDays: DRAIN_DAYS,
+    snowmelt: false,
+    freezeDays: 0,
+  };
+  const start = new Date(Date.UTC(2026, 0, 1));
+  const days = getRegionalWeatherForRange(
+    { ...region, rivers: [river] },
+    start,
+    new Date(Date.UTC(2026, 11, 31))
+  );
+
+  const seen = new Set();
+  let dryDays = null; // unknown until the river first rises
+  days.forEach((weather, index) => {
+    const { level, status } = weather.rivers[0];
+    const label = `River Dun on ${weather.date}`;
+    if (status !== (level > 0 ? "flooded" : "fordable")) {
+      failures.push(`${label}: level ${level} but ${status}`);
+    }
+    if (index === 0) return;
+
+    const previous = days[index - 1].rivers[0].level;
+    const rise = RISE[weather.condition] || 0;
+    let expected = null;
+    if (rise > 0) {
+      seen.add("flood");
+      expected = Math.min(3, previous + rise);
+      dryDays = 0;
+    } else if (previous === 0) {
+      expected = 0;
+    } else if (dryDays !== null) {
+      dryDays++;
+      expected = dryDays >= DRAIN_DAYS ? previous - 1 : previous;
+      if (dryDays >= DRAIN_DAYS) dryDays = 0;
+      if (expected === 0) seen.add("recede");
+    }
+    if (expected !== null && level !== expected) {
+      failures.push(`${label}: level ${level}, expected ${expected}`);
+    }
+
+    const day = dayNumber(start) + index;
+    if (day % RIVER_BLOCK_DAYS === 0 && previous > 0 && level > 0) {
+      seen.add("flood carried into a block");
+    }
+  });
+
+  // Asked for day by day (with a fresh rivers list, so nothing is shared
+  // with the range above) every day must get the same state
+  const rivers = [{ ...river }];
+  days.forEach((weather, index) => {
+    const date = new Date(start.getTime() + index * MS_PER_DAY);
+    const [single] = getRegionalWeatherForRange(
+      { ...region, rivers },
+      date,
+      date
+    );
+    if (single.rivers[0].level !== weather.rivers[0].level) {
+      failures.push(
+        `River Dun on ${weather.date}: level ${single.rivers[0].level} on its own, ${weather.rivers[0].level} in the range`
+      );
+    }
+  });
+
+  for (const kind of ["flood", "recede", "flood carried into a block"]) {
+    if (!seen.has(kind)) failures.push(`River Dun: no ${kind} in 2026`);
+  }
+}
+
+/**
+ * In a marsh with a river, check that fording is forbidden when the weather
+ * or terrain forbids it (Fog, marsh rain) or a river is flooded, and that the
+ * impacts say so: the flooded rivers by name, or rivers in general
+ * @param {Array<string>} failures - Failures are added here
+ */
+function checkFording(failures) {
+  const marsh = { ...loadExampleRegion(), terrain: ["marsh"] };
+  const start = new Date(Date.UTC(2026, 9, 1));
+  const end = new Date(Date.UTC(2027, 0, 31));
+  const withRiver = getRegionalWeatherForRange(
+    { ...marsh, rivers: [{ name: "River Dun", crossings: ["Old Mill Ford"] }] },
+    start,
+    end
+  );
+  const without = getRegionalWeatherForRange(marsh, start, end);
+
+  const seen = new Set();
+  withRiver.forEach((weather, index) => {
+    const label = `Marsh on ${weather.date} (${weather.condition})`;
+    const flooded = weather.rivers
+      .filter((river) => river.status === "flooded")
+      .map((river) => river.name);
+    const weatherAllows = without[index].impactData.canFordRivers;
+    const canFord = weatherAllows && flooded.length === 0;
+    if (!weatherAllows && flooded.length === 0) seen.add("weather forbids");
+    if (flooded.length > 0) seen.add("flooded");
+
+    if (weather.impactData.canFordRivers !== canFord) {
+      failures.push(
+        `${label}: canFordRivers ${weather.impactData.canFordRivers}, expected ${canFord}`
+      );
+    }
+    const expected =
+      flooded.length > 0
+        ? [`Cannot ford ${flooded.join(", ")}`]
+        : canFord
+          ? []
+          : ["Cannot ford rivers"];
+    const fording = weather.impacts.filter((impact) =>
+      impact.startsWith("Cannot ford")
+    );
+    if (fording.join("; ") !== expected.join("; ")) {
+      failures.push(
+        `${label}: impacts say "${fording.join("; ") || "nothing"}"`
+      );
+    }
+  });
+
+  for (const kind of ["weather forbids", "flooded"]) {
+    if (!seen.has(kind)) failures.push(`Marsh: no day where ${kind}`);
+  }
+}
+
+/**
+ * Run the river checks
+ * @returns {number} Exit code: 0 if every check passes
+ */
+function testRivers() {
+  logger.info("TEST: Checking river flooding and fording");
+
+  const failures = [];
+  checkFloodAndRecede(failures);
+  checkFording(failures);
+
+  if (failures.length > 0) {
+    failures.forEach((failure) => console.error(`❌ ${failure}`));
+    console.error(`❌ TEST: ${failures.length} river failure(s)`);
+    return 1;
+  }
+
+  console.log("✅ TEST: Rivers flood, recede and rule fording as expected");
+  return 0;
+}
+
+// If this script is run directly
+if (require.main === module) {
+  try {
+    process.exit(testRivers());
+  } catch (error) {
+    logger.error(`TEST: Failed to check rivers: ${error.message}`);
+    console.error("❌ TEST: Failed to check rivers:", error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  testRivers,
+};
@@ -0,0 +1,61 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  createWeatherRules,
+  DEFAULT_RULES_PATH,
+} = require("./src/config/weatherRules");
+const { MIN_EPOCH_LENGTH } = require("./src/services/weatherService");
+const { analyzeTransitionGraph } = require("./src/services/transitionAnalyzer");
+const { logger } = require("./src/utils/logger");
+
+const EXAMPLE_REGIONS_PATH = path.join(
+  __dirname,
+  "src",
+  "config",
+  "regions-example.json"
+);
+
+/**
+ * Run the transition analyzer on the shipped default weather rules and
+ * example regions, so a change to either that breaks the graph fails here
+ * @returns {number} Exit code: 0 if the graph has no errors
+ */
+function testDefaultTransitions() {
+  logger.info("TEST: Analyzing the default weather rules transition graph");
+
+  const rules = createWeatherRules(
+    JSON.parse(fs.readFileSync(DEFAULT_RULES_PATH, "utf8"))
+  );
+  const { regions } = JSON.parse(fs.readFileSync(EXAMPLE_REGIONS_PATH, "utf8"));
+  const report = analyzeTransitionGraph(rules, regions || {}, {
+    minEpochLength: MIN_EPOCH_LENGTH,
+  });
+
+  if (report.errors.length > 0) {
+    report.errors.forEach((error) => console.error(`❌ ${error}`));
+    console.error(
+      `❌ TEST: Default transition graph has ${report.errors.length} error(s)`
+    );
+    return 1;
+  }
+
+  console.log(
+    `✅ TEST: Default transition graph is valid (${report.warnings.length} warning(s))`
+  );
+  return 0;
+}
+
+// If this script is run directly
+if (require.main === module) {
+  try {
+    process.exit(testDefaultTransitions());
+  } catch (error) {
+    logger.error(`TEST: Failed to analyze transitions: ${error.message}`);
+    console.error("❌ TEST: Failed to analyze transitions:", error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  testDefaultTransitions,
+};
@@ -1,11 +1,11 @@
 const {
-  getRegionalWeatherUpdate,
-  getWeatherEmoji,
+  getRegionalDailyWeatherUpdates,
 } = require("./src/services/weatherService");
 const {
   getConfiguredRegions,
   getRegionConfig,
 } = require("./src/config/config");
+const { formatDayWeather } = require("./src/utils/messageFormatter");
 const { logger } = require("./src/utils/logger");
 
 // Mock webhook function for testing
@@ -30,28 +30,14 @@ async function testRegionalWeatherWebhook(regionId) {
 
     logger.info(`Testing weather update for region: ${regionConfig.name}`);
 
-    // Get weather data for this region
-    const weather = getRegionalWeatherUpdate(regionConfig);
+    // Get weather for every in-game day covered by today's post
+    const days = getRegionalDailyWeatherUpdates(regionConfig);
 
     // Build the weather message content
-    let messageContent =
-      `📅 **Weather Update${
-        regionConfig.name ? ` - ${regionConfig.name}` : ""
-      }**\n` +
-      `**Date:** ${weather.date}\n` +
-      `**Season:** ${
-        weather.season.charAt(0).toUpperCase() + weather.season.slice(1)
-      }\n` +
-      `${getWeatherEmoji(weather.condition, false)} **Weather:** ${
-        weather.condition
-      }\n`;
-
-    // Add mechanical impacts if any
-    if (Array.isArray(weather.impacts) && weather.impacts.length > 0) {
-      weather.impacts.forEach((impact) => {
-        messageContent += `⚠️ ${impact}\n`;
-      });
-    }
+    let messageContent = `📅 **Weather Update${
+      regionConfig.name ? ` - ${regionConfig.name}` : ""
+    }**\n`;
+    messageContent += days.map(formatDayWeather).join("\n");
 
     // Send to all mock webhooks for this region
     const results = [];
@@ -1,12 +1,8 @@
-const {
-  getRegionalWeeklyForecast,
-  getWeatherEmoji,
-} = require("./src/services/weatherService");
 const {
   getConfiguredRegions,
-  getRegionConfig,
   getWeeklyForecastWebhookUrl,
 } = require("./src/config/config");
+const { buildConsolidatedForecastMessage } = require("./weekly-webhook");
 const { logger } = require("./src/utils/logger");
 
 // Mock webhook function for testing
@@ -63,56 +59,11 @@ async function testConsolidatedWeeklyForecastWebhook() {
     );
 
     // Build consolidated forecast message
-    let consolidatedMessage =
-      "📅 **Weekly Weather Forecast - All Regions**\n\n";
-
-    for (const region of configuredRegions) {
-      try {
-        const regionConfig = await getRegionConfig(region.id);
-
-        const weeklyForecast = getRegionalWeeklyForecast(regionConfig);
-
-        if (regionConfig.name) {
-          consolidatedMessage += `🌍 **${regionConfig.name}**\n\n`;
-        }
-
-        weeklyForecast.forEach((dayWeather, index) => {
-          const isToday = index === 0;
-          const dayLabel = isToday ? "Today" : dayWeather.dayOfWeek;
-          consolidatedMessage +=
-            `**${dayLabel} - ${dayWeather.date}**\n` +
-            `Season: ${
-              dayWeather.season.charAt(0).toUpperCase() +
-              dayWeather.season.slice(1)
-            }\n` +
-            `${getWeatherEmoji(dayWeather.condition, false)} Weather: ${
-              dayWeather.condition
-            }\n`;
-
-          // Add mechanical impacts if any
-          if (Array.isArray(dayWeather.impacts) && dayWeather.impacts.length) {
-            dayWeather.impacts.forEach((impact) => {
-              consolidatedMessage += `⚠️ ${impact}\n`;
-            });
-          }
-
-          consolidatedMessage += `\n`;
-        });
-
-        consolidatedMessage += "─────────────────────────────\n\n";
-      } catch (error) {
-        logger.error(
-          `TEST: Failed to generate forecast for region ${region.id}: ${error.message}`
-        );
-        consolidatedMessage += `🌍 **${region.name || region.id}**\n`;
-        consolidatedMessage += `❌ *Error generating forecast for this region*\n\n`;
-        consolidatedMessage += "─────────────────────────────\n\n";
-      }
-    }
-
-    // Add footer
-    consolidatedMessage +=
-      "*Consolidated weather forecast for all campaign regions*";
+    // (--gm shows the true weather instead of uncertain forecasts)
+    const consolidatedMessage = await buildConsolidatedForecastMessage(
+      configuredRegions,
+      { gm: process.argv.includes("--gm") }
+    );
 
     // Send message(s) to mock Discord webhook
     const responses = await mockSendDiscordMessage(
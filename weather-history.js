@@ -0,0 +1,190 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  getLocalRegionConfig,
+  getLocalRegionConfigs,
+} = require("./src/config/config");
+const { getRegionalWeatherForRange } = require("./src/services/weatherService");
+const { parseDayNumber } = require("./src/services/calendarService");
+const { parseFlags } = require("./src/utils/args");
+const { formatTextTable } = require("./src/utils/table");
+const { logger } = require("./src/utils/logger");
+
+/**
+ * Look up a region's weather over a date range, past or future, from
+ * regions.json alone (no Google Sheets credentials needed). GM overrides in
+ * the local overrides file apply, so the answer matches what was posted.
+ *
+ * Usage: node weather-history.js --region <id> | --all --from <YYYY-MM-DD>
+ *   [--to <YYYY-MM-DD>] [--format table|csv|json] [--out <file>]
+ */
+
+const USAGE = `Usage:
+  node weather-history.js --region <id> --from <YYYY-MM-DD> [--to <YYYY-MM-DD>] [--format table|csv|json] [--out <file>]
+  node weather-history.js --all --from <YYYY-MM-DD> [--to <YYYY-MM-DD>] [--format table|csv|json] [--out <file>]`;
+
+const FORMATS = ["table", "csv", "json"];
+const MS_PER_DAY = 86400000;
+
+/**
+ * One row per region and day
+ * @param {object} regionConfig - Region config (see config.js)
+ * @param {number} startDay - First day number
+ * @param {number} endDay - Last day number (inclusive)
+ * @returns {Array<object>} { region, day, date, season, condition, nightCondition, override, impactData }
+ */
+function getHistoryRows(regionConfig, startDay, endDay) {
+  return getRegionalWeatherForRange(
+    regionConfig,
+    new Date(startDay * MS_PER_DAY),
+    new Date(endDay * MS_PER_DAY)
+  ).map((weather, i) => ({
+    region: regionConfig.id,
+    day: new Date((startDay + i) * MS_PER_DAY).toISOString().slice(0, 10),
+    date: weather.date,
+    season: weather.season,
+    condition: weather.condition,
+    nightCondition: weather.nightCondition,
+    override: weather.override ? weather.override.weather : null,
+    impactData: weather.impactData,
+  }));
+}
+
+/**
+ * Flatten rows into columns, one per impact field
+ * @param {Array<object>} rows - From getHistoryRows
+ * @returns {{ columns: Array<string>, records: Array<Array> }}
+ */
+function flattenRows(rows) {
+  const impactFields = [];
+  for (const row of rows) {
+    for (const field of Object.keys(row.impactData)) {
+      if (!impactFields.includes(field)) impactFields.push(field);
+    }
+  }
+  const columns = [
+    "region",
+    "day",
+    "date",
+    "season",
+    "condition",
+    "nightCondition",
+    "override",
+    ...impactFields,
+  ];
+  const records = rows.map((row) => [
+    row.region,
+    row.day,
+    row.date,
+    row.season,
+    row.condition,
+    row.nightCondition,
+    row.override,
+    ...impactFields.map((field) => row.impactData[field]),
+  ]);
+  return { columns, records };
+}
+
+function formatCsvValue(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Rows as CSV, with a header line
+ * @param {Array<object>} rows - From getHistoryRows
+ * @returns {string} CSV text
+ */
+function formatHistoryCsv(rows) {
+  const { columns, records } = flattenRows(rows);
+  return `${[columns, ...records]
+    .map((record) => record.map(formatCsvValue).join(","))
+    .join("\n")}\n`;
+}
+
+function formatTableValue(value) {
+  if (value === null || value === undefined || value === "") return "-";
+  if (value === true) return "yes";
+  if (value === false) return "no";
+  return String(value);
+}
+
+/**
+ * Rows as an aligned text table
+ * @param {Array<object>} rows - From getHistoryRows
+ * @returns {string} Table text
+ */
+function formatHistoryTable(rows) {
+  const { columns, records } = flattenRows(rows);
+  return `${formatTextTable(
+    columns,
+    records.map((record) => record.map(formatTableValue))
+  )}\n`;
+}
+
+function formatHistory(rows, format) {
+  if (format === "csv") return formatHistoryCsv(rows);
+  if (format === "json") return `${JSON.stringify(rows, null, 2)}\n`;
+  return formatHistoryTable(rows);
+}
+
+async function runHistory(argv = process.argv.slice(2)) {
+  const flags = parseFlags(argv, ["all", "help"]);
+  if (flags.help || (!flags.region && !flags.all)) {
+    console.log(USAGE);
+    return flags.help ? 0 : 1;
+  }
+
+  const startDay = parseDayNumber(flags.from);
+  const endDay = flags.to === undefined ? startDay : parseDayNumber(flags.to);
+  if (startDay === null || endDay === null) {
+    throw new Error("--from and --to must be dates in YYYY-MM-DD format");
+  }
+  if (endDay < startDay) {
+    throw new Error("--to is before --from");
+  }
+
+  // Without --format, a .csv or .json output file picks its own format
+  const extension = flags.out ? path.extname(flags.out).slice(1) : "";
+  const format =
+    flags.format || (FORMATS.includes(extension) ? extension : "table");
+  if (!FORMATS.includes(format)) {
+    throw new Error(`--format must be one of: ${FORMATS.join(", ")}`);
+  }
+
+  const regionConfigs = flags.all
+    ? await getLocalRegionConfigs()
+    : [await getLocalRegionConfig(flags.region)];
+  const rows = regionConfigs.flatMap((regionConfig) =>
+    getHistoryRows(regionConfig, startDay, endDay)
+  );
+  const output = formatHistory(rows, format);
+
+  if (flags.out) {
+    fs.writeFileSync(flags.out, output);
+    logger.info(`Wrote ${rows.length} weather rows to ${flags.out}`);
+    console.log(`✅ Wrote ${rows.length} rows (${format}) to ${flags.out}`);
+  } else {
+    process.stdout.write(output);
+  }
+  return 0;
+}
+
+// If this script is run directly (not imported)
+if (require.main === module) {
+  runHistory()
+    .then((code) => process.exit(code))
+    .catch((error) => {
+      logger.error(`Failed to look up weather: ${error.message}`);
+      console.error("❌ Failed to look up weather:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runHistory,
+  getHistoryRows,
+  formatHistoryCsv,
+  formatHistoryTable,
+};
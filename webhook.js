@@ -1,13 +1,14 @@
 const axios = require("axios");
 const {
   getRegionalWeatherUpdate,
-  getWeatherEmoji,
+  getRegionalDailyWeatherUpdates,
 } = require("./src/services/weatherService");
 const {
   getConfiguredRegions,
   getRegionConfig,
 } = require("./src/config/config");
 const { updateWeatherTable } = require("./src/services/googleSheetsService");
+const { formatDayWeather } = require("./src/utils/messageFormatter");
 const { logger } = require("./src/utils/logger");
 
 async function sendRegionalWeatherWebhook(regionId) {
@@ -17,7 +18,6 @@ async function sendRegionalWeatherWebhook(regionId) {
     logger.info(`Sending weather update for region: ${regionConfig.name}`);
 
     let messageContent;
-    let weather = null;
 
     // Check if region has weather configuration
     if (!regionConfig.hasWeatherConfig || !regionConfig.seasonalWeather) {
@@ -28,38 +28,15 @@ async function sendRegionalWeatherWebhook(regionId) {
         `**Warning:** No weather configuration found for region "${regionId}"\n` +
         `Please add this region to regions.json to receive weather updates.`;
     } else {
-      // Get weather data for this region (single condition + impacts)
-      weather = getRegionalWeatherUpdate(regionConfig);
+      // Get weather for every in-game day covered by today's post
+      // (more than one when the campaign clock runs faster than real time)
+      const days = getRegionalDailyWeatherUpdates(regionConfig);
 
       // Build the weather message content
-      messageContent =
-        `📅 **Weather Update${
-          regionConfig.name ? ` - ${regionConfig.name}` : ""
-        }**\n` +
-        `**Date:** ${weather.date}\n` +
-        `**Season:** ${
-          weather.season.charAt(0).toUpperCase() + weather.season.slice(1)
-        }\n` +
-        `${getWeatherEmoji(weather.condition, false)} **Weather:** ${
-          weather.condition
-        }\n`;
-
-      // Add mechanical impacts if any
-      if (Array.isArray(weather.impacts) && weather.impacts.length > 0) {
-        weather.impacts.forEach((impact) => {
-          messageContent += `⚠️ ${impact}\n`;
-        });
-      }
-
-      // Add special comet event if applicable
-      if (weather.hasComet && weather.cometEvent) {
-        messageContent += `\n`;
-        messageContent += `☄️✨ **CELESTIAL EVENT: ${weather.cometEvent.name}** ✨☄️\n`;
-        messageContent += `\n`;
-        messageContent += `*${weather.cometEvent.description}*\n`;
-        messageContent += `\n`;
-        messageContent += `🌟 **Effect:** ${weather.cometEvent.impact}\n`;
-      }
+      messageContent = `📅 **Weather Update${
+        regionConfig.name ? ` - ${regionConfig.name}` : ""
+      }**\n`;
+      messageContent += days.map(formatDayWeather).join("\n");
     }
 
     // Format the message for Discord webhook
@@ -195,6 +172,7 @@ async function sendAllRegionalWebhooks() {
         const regionConfig = await getRegionConfig(region.id);
 
         // Only add to Google Sheets if region has weather config
+        // (the sheet tracks the current in-game day)
         if (regionConfig.hasWeatherConfig && regionConfig.seasonalWeather) {
           const weather = getRegionalWeatherUpdate(regionConfig);
           // Store for Google Sheets update, using region name as key
@@ -8,6 +8,15 @@ const {
   getRegionConfig,
   getWeeklyForecastWebhookUrl,
 } = require("./src/config/config");
+const {
+  capitalize,
+  formatEvent,
+  formatPhenomenon,
+  formatFront,
+  formatYearCharacter,
+  formatTerrainEffect,
+  formatForecastWeather,
+} = require("./src/utils/messageFormatter");
 const { logger } = require("./src/utils/logger");
 
 async function sendAllRegionalWeeklyForecasts() {
@@ -100,6 +109,117 @@ async function sendDiscordMessage(webhookUrl, content) {
   return responses;
 }
 
+/**
+ * Build the consolidated weekly forecast message for all regions
+ * @param {Array<object>} configuredRegions - Regions from getConfiguredRegions
+ * @param {object} [view] - { gm: true } for the true weather instead of
+ *   regions' uncertain forecasts
+ * @returns {Promise<string>} Message content
+ */
+async function buildConsolidatedForecastMessage(configuredRegions, view = {}) {
+  let consolidatedMessage = `📅 **Weekly Weather Forecast - All Regions${
+    view.gm ? " (GM)" : ""
+  }**\n\n`;
+
+  for (const region of configuredRegions) {
+    try {
+      const regionConfig = await getRegionConfig(region.id);
+
+      if (regionConfig.name) {
+        consolidatedMessage += `🌍 **${regionConfig.name}**\n\n`;
+      }
+
+      // Check if region has weather configuration
+      if (!regionConfig.hasWeatherConfig || !regionConfig.seasonalWeather) {
+        consolidatedMessage += `⚠️ *No weather configuration found for region "${region.id}"*\n`;
+        consolidatedMessage += `Please add this region to regions.json to receive weather forecasts.\n\n`;
+        consolidatedMessage += "─────────────────────────────\n\n";
+        continue;
+      }
+
+      const weeklyForecast = getRegionalWeeklyForecast(regionConfig, view);
+
+      // Announce the character of the year(s) the week falls in
+      const years = new Set();
+      weeklyForecast.forEach(({ yearCharacter }) => {
+        if (yearCharacter && !years.has(yearCharacter.year)) {
+          years.add(yearCharacter.year);
+          consolidatedMessage += formatYearCharacter(yearCharacter);
+        }
+      });
+      if (years.size > 0) consolidatedMessage += `\n`;
+
+      weeklyForecast.forEach((dayWeather, index) => {
+        const isToday = index === 0;
+        const dayLabel = isToday ? "Today" : dayWeather.dayOfWeek;
+        consolidatedMessage +=
+          `**${dayLabel} - ${dayWeather.date}**\n` +
+          `Season: ${capitalize(
+            dayWeather.seasonLabel || dayWeather.season
+          )}\n` +
+          formatForecastWeather(dayWeather);
+
+        if (
+          dayWeather.nightCondition &&
+          dayWeather.nightCondition !== dayWeather.condition
+        ) {
+          consolidatedMessage += `${getWeatherEmoji(
+            dayWeather.nightCondition,
+            true
+          )} Night: ${dayWeather.nightCondition}\n`;
+        }
+
+        if (dayWeather.front) {
+          consolidatedMessage += formatFront(dayWeather.front);
+        }
+
+        if (dayWeather.temperature) {
+          consolidatedMessage += `🌡️ Temperature: ${dayWeather.temperature} · 💨 Wind: ${dayWeather.wind}\n`;
+        }
+
+        // Add mechanical impacts if any
+        if (Array.isArray(dayWeather.impacts) && dayWeather.impacts.length) {
+          dayWeather.impacts.forEach((impact) => {
+            consolidatedMessage += `⚠️ ${impact}\n`;
+          });
+        }
+
+        // Add terrain effects, named apart from the general impacts
+        (dayWeather.terrainEffects || []).forEach((effect) => {
+          if (effect.text) consolidatedMessage += formatTerrainEffect(effect);
+        });
+
+        // Add rare phenomena if any
+        (dayWeather.phenomena || []).forEach((phenomenon) => {
+          consolidatedMessage += formatPhenomenon(phenomenon);
+        });
+
+        // Add special events if any
+        (dayWeather.events || []).forEach((event) => {
+          consolidatedMessage += formatEvent(event);
+        });
+
+        consolidatedMessage += `\n`;
+      });
+
+      consolidatedMessage += "─────────────────────────────\n\n";
+    } catch (error) {
+      logger.error(
+        `Failed to generate forecast for region ${region.id}: ${error.message}`
+      );
+      consolidatedMessage += `🌍 **${region.name || region.id}**\n`;
+      consolidatedMessage += `❌ *Error generating forecast for this region*\n\n`;
+      consolidatedMessage += "─────────────────────────────\n\n";
+    }
+  }
+
+  // Add footer
+  consolidatedMessage +=
+    "*Consolidated weather forecast for all campaign regions*";
+
+  return consolidatedMessage;
+}
+
 async function sendConsolidatedWeeklyForecastWebhook() {
   try {
     const weeklyForecastUrl = await getWeeklyForecastWebhookUrl();
@@ -127,74 +247,8 @@ async function sendConsolidatedWeeklyForecastWebhook() {
     );
 
     // Build consolidated forecast message
-    let consolidatedMessage =
-      "📅 **Weekly Weather Forecast - All Regions**\n\n";
-
-    for (const region of configuredRegions) {
-      try {
-        const regionConfig = await getRegionConfig(region.id);
-
-        if (regionConfig.name) {
-          consolidatedMessage += `🌍 **${regionConfig.name}**\n\n`;
-        }
-
-        // Check if region has weather configuration
-        if (!regionConfig.hasWeatherConfig || !regionConfig.seasonalWeather) {
-          consolidatedMessage += `⚠️ *No weather configuration found for region "${region.id}"*\n`;
-          consolidatedMessage += `Please add this region to regions.json to receive weather forecasts.\n\n`;
-          consolidatedMessage += "─────────────────────────────\n\n";
-          continue;
-        }
-
-        const weeklyForecast = getRegionalWeeklyForecast(regionConfig);
-
-        weeklyForecast.forEach((dayWeather, index) => {
-          const isToday = index === 0;
-          const dayLabel = isToday ? "Today" : dayWeather.dayOfWeek;
-          consolidatedMessage +=
-            `**${dayLabel} - ${dayWeather.date}**\n` +
-            `Season: ${
-              dayWeather.season.charAt(0).toUpperCase() +
-              dayWeather.season.slice(1)
-            }\n` +
-            `${getWeatherEmoji(dayWeather.condition, false)} Weather: ${
-              dayWeather.condition
-            }\n`;
-
-          // Add mechanical impacts if any
-          if (Array.isArray(dayWeather.impacts) && dayWeather.impacts.length) {
-            dayWeather.impacts.forEach((impact) => {
-              consolidatedMessage += `⚠️ ${impact}\n`;
-            });
-          }
-
-          // Add special comet event if applicable
-          if (dayWeather.hasComet && dayWeather.cometEvent) {
-            consolidatedMessage += `\n`;
-            consolidatedMessage += `☄️✨ **CELESTIAL EVENT: ${dayWeather.cometEvent.name}** ✨☄️\n`;
-            consolidatedMessage += `\n`;
-            consolidatedMessage += `*${dayWeather.cometEvent.description}*\n`;
-            consolidatedMessage += `\n`;
-            consolidatedMessage += `🌟 **Effect:** ${dayWeather.cometEvent.impact}\n`;
-          }
-
-          consolidatedMessage += `\n`;
-        });
-
-        consolidatedMessage += "─────────────────────────────\n\n";
-      } catch (error) {
-        logger.error(
-          `Failed to generate forecast for region ${region.id}: ${error.message}`
-        );
-        consolidatedMessage += `🌍 **${region.name || region.id}**\n`;
-        consolidatedMessage += `❌ *Error generating forecast for this region*\n\n`;
-        consolidatedMessage += "─────────────────────────────\n\n";
-      }
-    }
-
-    // Add footer
-    consolidatedMessage +=
-      "*Consolidated weather forecast for all campaign regions*";
+    const consolidatedMessage =
+      await buildConsolidatedForecastMessage(configuredRegions);
 
     // Send message(s) to Discord webhook, splitting if necessary
     const responses = await sendDiscordMessage(
@@ -227,6 +281,18 @@ async function sendConsolidatedWeeklyForecastWebhook() {
         `Some messages failed. Failed responses: ${failedResponses.length}/${responses.length}`
       );
     }
+
+    // GM copy with the true weather, for regions with uncertain forecasts
+    const gmForecastUrl = process.env.GM_WEEKLY_FORECAST_WEBHOOK_URL;
+    if (gmForecastUrl) {
+      const gmMessage = await buildConsolidatedForecastMessage(
+        configuredRegions,
+        { gm: true }
+      );
+      await sendDiscordMessage(gmForecastUrl, gmMessage);
+      logger.info("GM weekly weather forecast posted successfully");
+      console.log("✅ GM weekly weather forecast posted successfully!");
+    }
   } catch (error) {
     logger.error(
       `Failed to send consolidated weekly forecast webhook: ${error.message}`
@@ -248,4 +314,5 @@ if (require.main === module) {
 module.exports = {
   sendAllRegionalWeeklyForecasts,
   sendConsolidatedWeeklyForecastWebhook,
+  buildConsolidatedForecastMessage,
 };